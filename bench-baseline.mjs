@@ -0,0 +1,179 @@
+/**
+ * The code paths of version 2.4.8 that capture the code location of log lines and status messages, copied from
+ *   lib/index.js of that version, so that bench.mjs can compare them with the current ones.  It has to be a
+ *   module of its own, since numFramesInThisModule() counts frames by file.
+ *
+ * Only makeASCII() is cut down, to the strings and numbers that the benchmark logs.
+ */
+import * as stackTraceParser from 'stacktrace-parser';
+import { Options } from './dist-cjs/index.js';
+
+/**
+ *
+ * @returns the number of contiguous stack frames that are in the module where
+  numFramesInThisModule() is called, including and starting from the frame of the function
+  call.  filename is as close as we can get to "module" in Javascript, so this is by filename.
+ */
+export function numFramesInThisModule() {
+    try {
+        throw new Error('My error');
+    } catch(ex) {
+        const frames = stackTraceParser.parse(ex.stack);
+
+        if (frames.length < 2) return 0;
+        let thisModule = frames[1].file;
+        //console.log("module: ", thisModule);
+        for (let i of Array.from({length: frames.length - 2}, (x, i) => i))
+            if (frames[2 + i].file != thisModule) return i + 1;
+        return frames.length - 1; // don't count this function call
+    }
+}
+
+/**
+ * Function used to get options if available; returns empty Options if not
+ */
+function getOptions(args) {
+    if (args && args.length && args[args.length - 1] instanceof Options) {
+        return args.pop();
+    }
+    return new Options({});
+}
+
+/**
+ * @param {*} data
+ * @returns true iff the data is a string.
+ */
+function isString(data) {
+    return typeof data === 'string' || data instanceof String;
+}
+
+/**
+ * Turn a string or number into a compact ASCII string
+ * @param {*} s : object that we want to make into an ascii string
+ * @param canonical : if true, strings are encoded as JSON (inside double-quotes)
+ * @returns the ascii string
+ */
+function makeASCII(s, canonical) {
+    if (isString(s))
+        if (canonical)
+            return '"' + Buffer.from(s, "ascii").toString() + '"';
+        else
+            return Buffer.from(s, "ascii").toString();
+    else if (typeof s == 'number')
+        return s.toString();
+    throw new Error("the baseline benchmark only logs strings and numbers");
+}
+
+/**
+ * Add file and lineno info to msg.
+ *
+ * Last argument can be an options object.
+ *
+ * Options object may contain:
+ *   extraFrames:  how many extra frames to go up, when capturing file/lineno
+ */
+var indexMatcher = new RegExp(/^index\..?js/); // index.js doesn't tell us much about a module
+export function adorn(msg, ...moreMsg) {
+    let options = getOptions(moreMsg);
+    let extraFrames = options?.extraFrames ?? 0; // by default, we use calling stack frame
+    try {
+        throw new Error('My error');
+    } catch(ex) {
+        const frames = stackTraceParser.parse(ex.stack);
+        let callingFrameNum = 1 + extraFrames < frames.length ? 1 + extraFrames : frames.length - 1;
+        let callingFrame = frames[callingFrameNum];
+        let lineNo = callingFrame.lineNumber;
+        let callFile = callingFrame.file;
+
+        let filePath = callFile.split('/');
+        callFile = filePath[filePath.length - 1].match(indexMatcher) ? filePath[filePath.length - 2] : filePath[filePath.length - 1];
+
+        let pmsg = [msg, ...moreMsg].map(x => makeASCII(x));
+        return callFile + ':' + lineNo + ': ' + pmsg.join('');
+    }
+}
+
+/**
+ * The logging path of AppLogger: info() and commonOut()
+ */
+export class AppLogger {
+    constructor(componentName) {
+        this.component = makeASCII(componentName);
+        this.diagStream = process.stderr;
+    }
+
+    /**
+     * Used to write diagnostic message at given log level.
+     *
+     * @param {*} lvl - any string to indicate log level, e.g. 'INFO', 'WARN', 'ERROR', 'DEBUG', 'V1", etc.
+     * @param {*} msg - first component of a message to write
+     * @param  {...any} moreMsg - more components of the message; the last item may be an options object with
+     *    fields:
+     *       * extraFrames:  a positive integer indicating how many stack frames to
+     *           go up before reporting the code location of this diagnostic [default: 0]
+     *       * asString:  set true if you want a string back instead of printing to
+     *           this.diagStream
+     * @returns the diagnostic string if 'asString' set, else the AppLogger
+     */
+    commonOut(lvl, msg, ...moreMsg) {
+        let options = getOptions(moreMsg);
+        let extraFrames = (options?.extraFrames ?? 0) + 2 /* get above commonOut() and error()/warn()/etc */;
+        let asString = options?.asString ?? false;
+        let formatted = this.component + ": " + lvl + ": " +
+            adorn(msg, ...moreMsg, new Options({"extraFrames": extraFrames}));
+        if (asString)
+            return formatted;
+        else {
+            this.diagStream.write(formatted + "\n");
+        }
+    }
+
+    info(msg, ...moreMsg) {
+        return this.commonOut('INFO', msg, ...moreMsg);
+    }
+}
+
+/**
+ * The path of AppStatus.addError()
+ */
+export class AppStatus {
+    constructor (msg, ...moreMsg) {
+        this._info = [];
+        this.warnings = [];
+        this.errors = [];
+        this.lastError = '';
+        if (msg !== undefined)
+            this.addError(msg, ...moreMsg);
+        this.value = undefined;
+    }
+
+    /**
+     * Creates the adorned message (adding line number, filename, etc.); starts at the first
+     *   stack frame outside this module
+     * @param {*} msg - the message to adorn
+     * @param  {...any} moreMsg - more message components and/or final argument can be Options:
+     *    - extraFrames : number of extra frames to move up, before reporting the code location
+     * @returns the adorned message
+     */
+    #getAdornedMsg(msg, ...moreMsg) {
+        let extraFrames=numFramesInThisModule();
+
+        let options = getOptions(moreMsg)?? new Options();
+        options.addFrames(extraFrames);
+        return adorn(msg, ...moreMsg, options);
+    }
+
+    /**
+     * Adds a ERROR-level message to the status object.
+     * @param {*} msg - anything to log
+     * @param  {...any} moreMsg  - more to log and/or last item can be Options:
+     *   - extraFrames: extra frames to move up before capturing the code location of the message
+     * @returns the status object itself (for chaining)
+     */
+    addError(msg, ...moreMsg) {
+        let adornedMsg = this.#getAdornedMsg(msg, ...moreMsg);
+        this.errors.push(adornedMsg);
+        this.lastError = adornedMsg;
+        return this;
+    }
+}
@@ -0,0 +1,62 @@
+/**
+ * Benchmarks how many log lines per second AppLogger and AppStatus produce, comparing the code paths of version
+ *   2.4.8 (see bench-baseline.mjs), which throw an Error and parse the text of its whole stack with
+ *   stacktrace-parser, with the current ones (structured call sites, a limited stack depth and a per-call-site
+ *   cache), and with location capture switched off.
+ *
+ * Run with: npm run build && npm run bench
+ */
+import { Writable } from 'node:stream';
+import * as baseline from './bench-baseline.mjs';
+import { adorn, AppLogger, AppStatus, Options } from './dist-cjs/index.js';
+
+const durationMs = Number(process.env.BENCH_MS ?? 1000);
+
+/** a stream that throws away what's written, so we measure logging, not I/O */
+const nullStream = new Writable({
+    write(chunk, encoding, callback) {
+        callback();
+    }
+});
+
+/**
+ * Calls fn as often as it can for durationMs
+ * @returns calls per second
+ */
+function measure(fn) {
+    for (let i = 0; i < 1000; i++) // warm up
+        fn(i);
+    let count = 0;
+    let start = process.hrtime.bigint();
+    let end = start + BigInt(durationMs) * 1000000n;
+    let now = start;
+    while (now < end) {
+        for (let i = 0; i < 100; i++)
+            fn(count++);
+        now = process.hrtime.bigint();
+    }
+    return Math.round(count / (Number(now - start) / 1e9));
+}
+
+let baselineLogger = new baseline.AppLogger('bench');
+baselineLogger.diagStream = nullStream;
+let l = new AppLogger('bench', {verbose: 0});
+l.diagStream = nullStream;
+let noLocation = new AppLogger('bench', {verbose: 0, location: false});
+noLocation.diagStream = nullStream;
+let noLocationOption = new Options({location: false});
+
+const results = [
+    ['adorn(), 2.4.8', measure(i => baseline.adorn("line ", i))],
+    ['adorn()', measure(i => adorn("line ", i))],
+    ['AppLogger.info(), 2.4.8', measure(i => baselineLogger.info("line ", i))],
+    ['AppLogger.info()', measure(i => l.info("line ", i))],
+    ['AppLogger.info(), location off', measure(i => noLocation.info("line ", i))],
+    ['AppStatus.addError(), 2.4.8', measure(i => new baseline.AppStatus().addError("line ", i))],
+    ['AppStatus.addError()', measure(i => new AppStatus().addError("line ", i))],
+    ['AppStatus.addError(), location off', measure(i => new AppStatus().addError("line ", i, noLocationOption))],
+];
+
+let width = Math.max(...results.map(x => x[0].length));
+for (let [name, linesPerSec] of results)
+    console.log(name.padEnd(width) + '  ' + linesPerSec.toLocaleString('en-US').padStart(12) + ' lines/sec');
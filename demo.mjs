@@ -1,4 +1,4 @@
-import { AppError, AppLogger, AppStatus, makeASCII, Options } from './dist-cjs/index.js';
+import { AppError, AppLogger, AppStatus, defineErrorCodes, Diagnostic, lazy, LogSink, makeASCII, Options, RotatingFileStream, setASCIIOptions, setRedaction } from './dist-cjs/index.js';
 
 // Basic usage - logger
 
@@ -162,6 +162,113 @@ second-logger: DEBUG[math]: demo.mjs:103: 5 =? 5
 `;
 }
 
+/** child loggers share the settings of their parent (including later changes to it, until they're set on the
+  *   child), extend its component name, and can add context (key/value pairs) to every line they write
+  */
+export function doUseChildLoggers(l) {
+    let l1 = new AppLogger('demo', {verbose: 1});
+    l1.diagStream = l.diagStream;
+    let dbLogger = l1.child('db');                                    // writes as 'demo/db', to the same stream
+    dbLogger.v1("connected");
+    let requestLogger = dbLogger.child('query', {requestId: 42, user: 'ann'});
+    requestLogger.warn("slow query: ", 1200, "ms");
+    l1.setFromArgs({verbose: 2});                                     // children see later changes to their parent...
+    dbLogger.v2("pool size: ", 5);
+    requestLogger.setLevel('ERROR');                                  // ...but not to each other
+    requestLogger.warn("slow query: ", 1500, "ms");
+    dbLogger.warn("pool exhausted");
+    return `
+demo/db: V1: demo.mjs:162: connected
+demo/db/query: WARN: demo.mjs:164: slow query: 1200ms {"requestId":42,"user":"ann"}
+demo/db: V2: demo.mjs:166: pool size: 5
+demo/db: WARN: demo.mjs:169: pool exhausted
+`;
+}
+
+/** runWithContext() adds its context to everything logged, and every diagnostic added to a status, while the
+  *   given function runs (including async code it starts), without having to pass the context around
+  */
+export function doRunWithContext(l) {
+    function handleRequest() {
+        l.info("handling request");
+        let s = new AppStatus().addWarn("cache miss");
+        AppLogger.runWithContext({step: 'lookup'}, () => l.info("nested contexts add up; ", s));
+    }
+    AppLogger.runWithContext({traceId: 'abc123'}, handleRequest);
+    l.info("outside of the context again");
+    return `
+demo: INFO: demo.mjs:178: handling request {"traceId":"abc123"}
+demo: INFO: demo.mjs:180: nested contexts add up; WARN: demo.mjs:179: cache miss {"traceId":"abc123"} {"traceId":"abc123","step":"lookup"}
+demo: INFO: demo.mjs:183: outside of the context again
+`;
+}
+
+/** change the layout of log lines with a format template, e.g. to add timestamps (see formatRecord() for tokens) */
+export function doFormatTemplates(l) {
+    let l1 = new AppLogger('demo', {verbose: 0, format: '%l %c %fn() at %f:%n:%col - %m'});
+    l1.diagStream = l.diagStream;
+    l1.warn("low on fuel");
+    let stamped = new AppLogger('demo', {verbose: 0, format: '%iso [%pid] %m'});
+    let line = stamped.info("timestamped", new Options({asString: true}));
+    l.info("starts with timestamp and pid: ", new RegExp('^\\d{4}-\\d\\d-\\d\\dT[^ ]+Z \\[' + process.pid + '\\] timestamped$').test(line));
+    AppStatus.format = '%l@%f:%n: %m';                    // status objects can have their own format, too
+    l.info(new AppStatus("out of fuel"));
+    AppStatus.format = undefined;                         // back to the default
+    return `
+WARN demo doFormatTemplates() at demo.mjs:197:8 - low on fuel
+demo: INFO: demo.mjs:200: starts with timestamp and pid: true
+demo: INFO: demo.mjs:202: ERROR: ERROR@demo.mjs:202: out of fuel
+`;
+}
+
+/** debug tags can be namespaced, e.g. 'db:query', and turned on or off with patterns, as with the DEBUG
+  *   environment variable (which also sets the debug tags of new loggers)
+  */
+export function doDebugTagPatterns(l) {
+    let l1 = new AppLogger('demo', {verbose: 0});
+    l1.diagStream = l.diagStream;
+    l1.setDebug('db:*,-db:pool');                             // all tags under 'db', except 'db:pool'
+    for (let tag of ['db:query', 'db:pool', 'db:pool:idle', 'ui'])
+        l1.ifDebug("checking ", tag, new Options({tag: tag}));
+    l.info("db:query on? ", l1.isSetDebug('db:query'), "; db:pool on? ", l1.isSetDebug('db:pool'));
+    process.env.DEBUG = 'ui';
+    let l2 = new AppLogger('demo', {verbose: 0});
+    delete process.env.DEBUG;
+    l.info("ui:button on from environment? ", l2.isSetDebug('ui:button'));
+    return `
+demo: INFO: demo.mjs:205: db:* debugging enabled
+demo: INFO: demo.mjs:205: db:pool debugging disabled
+demo: DEBUG[db:query]: demo.mjs:207: checking db:query
+demo: INFO: demo.mjs:208: db:query on? true; db:pool on? false
+demo: INFO: demo.mjs:212: ui:button on from environment? true
+`;
+}
+
+/** expensive parts of a message can be passed as functions to v1(), v2(), v3(), ifDebug() and ifVerbose() (or
+  *   wrapped with lazy(), anywhere), so they are only computed if the message is written; no need to check
+  *   isSetDebug() or verbosity first.  Other methods log functions as they are, and a part that throws is shown as
+  *   [Thrown: ...] rather than breaking the log call.
+  */
+export function doLazyMessageParts(l) {
+    let calls = 0;
+    function expensiveDump() {
+        calls++;
+        return {rows: 3};
+    }
+    let l1 = new AppLogger('demo', {verbose: 1, debug: false});
+    l1.diagStream = l.diagStream;
+    l1.ifDebug("state: ", () => expensiveDump());            // debugging off, so not called
+    l1.v2("state: ", lazy(expensiveDump));                    // verbosity too low, so not called
+    l1.v1("state: ", () => expensiveDump(), " after ", lazy(() => calls), " call(s)");
+    l1.info("handler: ", expensiveDump, "; ctor: ", Map, "; calls: ", calls);   // not called by info()
+    l1.v1("broken: ", () => { throw new Error("no state"); }, "; ", lazy(() => null.x));
+    return `
+demo: V1: demo.mjs:225: state: {"rows":3} after 1 call(s)
+demo: INFO: demo.mjs:226: handler: [Function: expensiveDump]; ctor: [Function: Map]; calls: 1
+demo: V1: demo.mjs:227: broken: [Thrown: no state]; [Thrown: Cannot read properties of null (reading 'x')]
+`;
+}
+
 // Intermediate usage - writing log messages as strings
 
 /** getting log string instead of actually logging to the current diagnostics stream, e.g. stderr */
@@ -390,6 +497,99 @@ demo: INFO: demo.mjs:305: logging normally again; earlier we got: demo: INFO: de
 `;
 }
 
+/** write each diagnostic as a JSON record (one per line, aka NDJSON), so log shippers don't have to parse
+  *   the text lines; with asString, you get the record object back
+  */
+export function doLogAsJSON(l) {
+    let jsonLogger = new AppLogger('demo', {verbose: 0, json: true});
+    let record = jsonLogger.warn("disk is ", 91, "% full on ", {host: "db1"}, new Options({asString: true}));
+    l.info("fields: ", Object.keys(record));
+    l.info("level: ", record.level, "; line is a ", typeof record.line, "; parts: ", record.parts);
+    let buff = new PassThrough();
+    jsonLogger.diagStream = buff;
+    jsonLogger.error("out of disk");
+    let line = buff.read().toString();
+    buff.destroy();
+    l.info("one line per record: ", line.endsWith("}\n"), "; msg: ", JSON.parse(line).msg);
+    return `
+demo: INFO: demo.mjs:330: fields: ["time","component","level","file","line","column","function","msg","parts"]
+demo: INFO: demo.mjs:331: level: WARN; line is a number; parts: ["disk is ",91,"% full on ",{"host":"db1"}]
+demo: INFO: demo.mjs:337: one line per record: true; msg: out of disk
+`;
+}
+
+/** fan out diagnostics to several sinks, each with its own level, debug tags and format
+  *   a sink can write to a stream, a file (given its path), a function or an array (in-memory buffer)
+  */
+export function doLogToSinks(l) {
+    let alerts = [];
+    let trace = [];
+    let l1 = new AppLogger('demo', {verbose: 3, debug: true});
+    l1.addSink(alerts, {level: 'WARN'});                      // only ERROR and WARN
+    l1.addSink(trace, {tags: 'db', format: 'json'});          // everything, except DEBUG without the 'db' tag
+    l1.addSink(new LogSink(l.diagStream, {level: 'INFO',      // sinks can format lines however they like
+                                          format: record => record.level + " | " + record.msg}));
+    l1.error("the disk failed");
+    l1.warn("the disk is slow");
+    l1.info("the disk is back");
+    l1.v3("disk blocks: ", 42);
+    l1.ifDebug("select * from disks", new Options({tag: 'db'}));
+    l1.ifDebug("redrawing disk icon", new Options({tag: 'ui'}));
+    for (let alert of alerts)
+        l.info("alert: ", alert);
+    l.info("trace: ", trace.map(line => JSON.parse(line)).map(record => record.level + " " + record.msg));
+    return `
+ERROR | the disk failed
+WARN | the disk is slow
+INFO | the disk is back
+demo: INFO: demo.mjs:363: alert: demo: ERROR: demo.mjs:356: the disk failed
+demo: INFO: demo.mjs:363: alert: demo: WARN: demo.mjs:357: the disk is slow
+demo: INFO: demo.mjs:364: trace: ["ERROR the disk failed","WARN the disk is slow","INFO the disk is back","V3 disk blocks: 42","DEBUG select * from disks"]
+`;
+}
+
+/** log to a file that rotates by size (maxSize) and/or calendar interval (interval: 'hourly', 'daily', ...),
+  *   keeping a number of old generations, optionally gzipped (in the background; end() calls back when done)
+  */
+import * as fs from 'node:fs';
+import * as os from 'node:os';
+import * as path from 'node:path';
+import * as zlib from 'node:zlib';
+export async function doLogToRotatingFile(l) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apperror-demo-'));
+    let logFile = path.join(dir, 'demo.log');
+    let l1 = new AppLogger('demo', {verbose: 0});
+    l1.diagStream = new RotatingFileStream(logFile, {maxSize: 100, keep: 2, compress: true});
+    for (let i of [1, 2, 3, 4, 5, 6, 7])
+        l1.info("disk block ", i);                                 // each line is ~40 bytes, so 2 lines per file
+    await new Promise((resolve) => l1.diagStream.end(resolve));
+    l.info("files: ", fs.readdirSync(dir).sort());
+    l.info("newest rotated file: ", zlib.gunzipSync(fs.readFileSync(logFile + '.1.gz')).toString().trim().split("\n"));
+
+    // a file from an earlier day is rotated on the first write, when rotating daily
+    fs.writeFileSync(logFile, "yesterday's news\n");
+    let yesterday = new Date(Date.now() - 24 * 60 * 60 * 1000);
+    fs.utimesSync(logFile, yesterday, yesterday);
+    let daily = new RotatingFileStream(logFile, {interval: 'daily', keep: 1});
+    daily.write("today's news\n");
+    daily.end();
+    l.info("after daily rotation: ", fs.readFileSync(logFile + '.1').toString().trim(), " -> ",
+           fs.readFileSync(logFile).toString().trim());
+
+    // an empty file isn't rotated
+    let empty = new RotatingFileStream(path.join(dir, 'empty.log'), {keep: 1});
+    empty.rotate();
+    empty.end();
+    l.info("after rotating an empty file: ", fs.readdirSync(dir).filter(f => f.startsWith('empty')));
+    fs.rmSync(dir, {recursive: true});
+    return `
+demo: INFO: demo.mjs:381: files: ["demo.log","demo.log.1.gz","demo.log.2.gz"]
+demo: INFO: demo.mjs:382: newest rotated file: ["demo: INFO: demo.mjs:379: disk block 5","demo: INFO: demo.mjs:379: disk block 6"]
+demo: INFO: demo.mjs:391: after daily rotation: yesterday's news -> today's news
+demo: INFO: demo.mjs:398: after rotating an empty file: ["empty.log"]
+`;
+}
+
 /** easily set log levels from your commandline arguments
   *   -- only works if you're using a "standard" commandline parser like docopt and you define 'debug' or 'verbose'
   *   arguments, which will set 'debug'/'verbose' properties in your object or keys in a dict
@@ -409,6 +609,42 @@ demo: V2: demo.mjs:79: very verbose!
 `;
 }
 
+/** log levels are ordered ERROR < WARN < INFO < V1 < V2 < V3 < DEBUG; setting a level filters out less important
+  *   messages, e.g. for a --quiet option; the level can also come from the LOG_LEVEL environment variable
+  */
+export function doSetLogLevel(l) {
+    let l1 = new AppLogger('demo', {level: 'warn'});
+    l1.diagStream = l.diagStream;
+    l1.info("won't show");
+    l1.warn("will show");
+    l1.setLevel('V2');                                // verbosity follows the level
+    l1.v2("shows now, at verbosity ", l1.verbose);
+    l1.v3("won't show");
+    l1.setFromArgs(docopt(`
+Usage:
+  demo [--quiet] [--verbose]...
+  `, {argv: ['--quiet', '--verbose']}));           // --quiet trumps --verbose
+    l1.warn("won't show either");
+    l1.error("errors always show; level is ", l1.getLevel(), "; info enabled? ", l1.isLevelEnabled('INFO'));
+    process.env.LOG_LEVEL = 'error';
+    let l2 = new AppLogger('demo');
+    delete process.env.LOG_LEVEL;
+    l.info("level from environment: ", l2.getLevel());
+    Object.assign(process.env, {LOG_LEVEL: 'info', VERBOSE: '2'});
+    let l3 = new AppLogger('demo', {location: false});  // VERBOSE wins over the verbosity implied by LOG_LEVEL
+    delete process.env.LOG_LEVEL;
+    delete process.env.VERBOSE;
+    l3.diagStream = l.diagStream;
+    l3.commonOut('NOTICE', "levels we don't know pass as INFO; verbosity ", l3.verbose);
+    return `
+demo: WARN: demo.mjs:478: will show
+demo: V2: demo.mjs:480: shows now, at verbosity 2
+demo: ERROR: demo.mjs:487: errors always show; level is ERROR; info enabled? false
+demo: INFO: demo.mjs:491: level from environment: ERROR
+demo: NOTICE: levels we don't know pass as INFO; verbosity 2
+`;
+}
+
 /** logging a line from higher in the call stack
   * When you have an error handler you don't want to put the file location of the handler in the log.  
   *  Instead, you want to log the location where the error was detected.  All of the logger functions have 
@@ -435,6 +671,429 @@ demo: WARN: demo.mjs:368: I'm in the error handler: demo: ERROR: demo.mjs:368: I
 `;
 }
 
+/** capturing the code location is the expensive part of logging, so it can be switched off for hot paths,
+  *   per logger, per message, or for all status objects (AppStatus.location = false)
+  */
+export function doSkipLocationCapture(l) {
+    let hotLogger = new AppLogger('demo', {verbose: 0, location: false});
+    hotLogger.diagStream = l.diagStream;
+    hotLogger.info("no file:line here");
+    l.info("nor here", new Options({location: false}));
+    l.info("status without location: ", new AppStatus("quick failure", new Options({location: false})));
+    return `
+demo: INFO: no file:line here
+demo: INFO: nor here
+demo: INFO: demo.mjs:555: status without location: ERROR: quick failure
+`;
+}
+
+/** with source maps enabled, code locations in compiled code (e.g. TypeScript in a dist folder) point to the
+  *   original source; inline maps and .map files both work
+  */
+import { createRequire } from 'node:module';
+import { enableSourceMaps } from './dist-cjs/index.js';
+export function doResolveSourceMaps(l) {
+    let dir = fs.mkdtempSync(path.join(os.tmpdir(), 'apperror-demo-'));
+    // compiled code, as if from src/greet.ts (line 9) with an inline source map...
+    let inlineMap = {version: 3, sources: ['../src/greet.ts'], names: [], mappings: 'AAQA'};
+    fs.writeFileSync(path.join(dir, 'greet.js'), 'module.exports = (adorn) => adorn("hello from greet.ts");\n' +
+        '//# sourceMappingURL=data:application/json;base64,' + Buffer.from(JSON.stringify(inlineMap)).toString('base64'));
+    // ...and from src/part.ts (line 21) with a separate .map file
+    fs.writeFileSync(path.join(dir, 'part.js'), 'module.exports = (adorn) => adorn("hello from part.ts");\n' +
+        '//# sourceMappingURL=part.js.map');
+    fs.writeFileSync(path.join(dir, 'part.js.map'), JSON.stringify({...inlineMap, sources: ['../src/part.ts'], mappings: 'AAoBA'}));
+    let require = createRequire(path.join(dir, 'demo.js'));
+    l.info("without source maps: ", require('./greet.js')(adorn));
+    enableSourceMaps();
+    l.info("with source maps: ", require('./greet.js')(adorn), "; ", require('./part.js')(adorn));
+    enableSourceMaps(false);
+    fs.rmSync(dir, {recursive: true});
+    return `
+demo: INFO: demo.mjs:579: without source maps: greet.js:1: hello from greet.ts
+demo: INFO: demo.mjs:581: with source maps: greet.ts:9: hello from greet.ts; part.ts:21: hello from part.ts
+`;
+}
+
+/** code locations can show the path relative to a root directory (by default, the package root) or the full path,
+  *   instead of just the file name, and can add the column and function name; set this per logger, or for all
+  *   status objects with AppStatus.location
+  */
+import { fileURLToPath } from 'node:url';
+export function doRenderLocations(l) {
+    let thisFile = fileURLToPath(import.meta.url);
+    let l1 = new AppLogger('demo', {verbose: 0, location: {column: true, function: true}});
+    l1.diagStream = l.diagStream;
+    l1.info("where am I?");
+    let full = new AppLogger('demo', {verbose: 0, json: true, location: {mode: 'full'}});
+    let relative = new AppLogger('demo', {verbose: 0, json: true, location: {mode: 'relative', root: path.dirname(path.dirname(thisFile))}});
+    l.info("full path? ", full.info("", new Options({asString: true})).file == thisFile,
+           "; relative path? ", relative.info("", new Options({asString: true})).file == path.join(path.basename(path.dirname(thisFile)), 'demo.mjs'));
+    AppStatus.location = {function: true};
+    l.info(new AppStatus("failed"));
+    AppStatus.location = true;
+    return `
+demo: INFO: demo.mjs:605:8 doRenderLocations(): where am I?
+demo: INFO: demo.mjs:608: full path? true; relative path? true
+demo: INFO: demo.mjs:611: ERROR: demo.mjs:611 doRenderLocations(): failed
+`;
+}
+
+/** status objects and AppErrors can be passed between worker threads, processes and services as JSON, and
+  *   recreated on the other side with fromJSON()
+  */
+export function doSerializeStatus(l) {
+    let status = new AppStatus("disk full");
+    status.addWarning("retrying");
+    status.addValue({written: 10});
+    status.retries = 3;
+    status.inner = new AppStatus().addInfo("inner ok");
+    let json = JSON.stringify(status);
+    let copy = AppStatus.fromJSON(json);
+    l.info("round trip: ", copy, "; same? ", copy.toString() == status.toString(), "; inner: ", copy.inner.hasInfo());
+    let err = AppError.fromJSON(JSON.parse(JSON.stringify(new AppError("bad input"))));
+    l.info("error: ", err instanceof AppError, " ", err.toStatus().errMsg());
+    let big = new AppStatus().addValue({ids: Array.from({length: 150}, (x, i) => i), token: 'abc123'});
+    let bigCopy = AppStatus.fromJSON(JSON.stringify(big));          // values are kept whole, unlike log messages
+    l.info("value round trip: ", bigCopy.value.ids.length, " ids, token ", bigCopy.value.token);
+    try {
+        AppStatus.fromJSON({type: 'Something'});
+    } catch (e) {
+        l.info("caught: ", e.message);
+    }
+    return `
+demo: INFO: demo.mjs:706: round trip: ERROR: demo.mjs:697: disk full; WARN: demo.mjs:698: retrying; extra attributes: {"value":{"written":10},"retries":3,"inner":INFO: demo.mjs:701: inner ok}; same? true; inner: true
+demo: INFO: demo.mjs:708: error: true ERROR: demo.mjs:707: bad input
+demo: INFO: demo.mjs:711: value round trip: 150 ids, token abc123
+demo: INFO: demo.mjs:712: caught: ERROR: demo.mjs:710: Not a serialized AppStatus: {"type":"Something"}
+`;
+}
+
+/** the messages of a status object are strings, and their Diagnostics (see getDiagnostics()) also keep their
+  *   level, code location, time and original message parts, so you can query them
+  */
+export function doQueryDiagnostics(l) {
+    let s = new AppStatus("connection refused: ", {port: 5432});
+    s.addWarning("slow query");
+    s.addInfo("connected");
+    let [first, warning] = s.getDiagnostics(['ERROR', 'WARN']);
+    l.info("a string? ", typeof s.errors[0] == 'string', "; same text? ", first == s.errors[0], "; level: ", first.level,
+           "; line: ", first.line == warning.line - 1, "; parts: ", first.parts, "; time: ", !isNaN(Date.parse(first.time)));
+    l.info("warnings and errors: ", s.getDiagnostics(['WARN', 'ERROR']).map(x => x.msg).join(', '));
+    l.info("in demo.mjs with 'query': ", s.findDiagnostics({file: 'demo.mjs', includes: 'query'}).join(', '));
+    l.info("no match: ", s.findDiagnostics({level: 'ERROR', includes: /slow/}).length);
+    return `
+demo: INFO: demo.mjs:738: a string? true; same text? true; level: ERROR; line: true; parts: ["connection refused: ",{"port":5432}]; time: true
+demo: INFO: demo.mjs:740: warnings and errors: slow query, connection refused: {"port":5432}
+demo: INFO: demo.mjs:741: in demo.mjs with 'query': demo.mjs:734: slow query
+demo: INFO: demo.mjs:742: no match: 0
+`;
+}
+
+/** error codes from a central catalog give errors a stable code to branch on, plus a message template, severity,
+  *   category and a suggested exit and HTTP status; a code with severity 'WARN' is added and logged as a warning
+  */
+const codes = defineErrorCodes({
+    DB_TIMEOUT: {message: "database {host} timed out after {ms}ms", category: 'database', exitCode: 75, httpStatus: 504},
+    NOT_FOUND: {code: 'E_NO_SUCH_KEY', message: "no such key {key}", severity: 'WARN', httpStatus: 404},
+    SHUTTING_DOWN: {message: "shutting down", exitCode: 0},
+});
+export function doUseErrorCodes(l) {
+    try {
+        throw new AppError(codes.DB_TIMEOUT, {host: 'db1', ms: 500});
+    } catch (err) {
+        if (err.code == 'E_DB_TIMEOUT')
+            l.warn("retrying: ", err, " (exit ", err.exitCode, ", HTTP ", err.httpStatus, ", ", err.errorCode.category, ")");
+    }
+    let s = new AppStatus().addError(codes.NOT_FOUND, {key: 'foo'}, "; giving up");
+    l.info("not found? ", s.hasErrorCode(codes.NOT_FOUND), "; errors: ", s.errors.length, "; warnings: ", s.warnings.length, "; ", s.findDiagnostics({code: 'E_NO_SUCH_KEY'}).length);
+    l.error(codes.DB_TIMEOUT, {host: 'db2'});
+    l.error(codes.NOT_FOUND, {key: 'bar'});
+    l.info("as an AppError: ", new AppError(codes.NOT_FOUND, {key: 'baz'}).code);
+    let err = new AppError(codes.SHUTTING_DOWN);
+    l.info("no params: ", err.code, ", exit ", err.exitCode, "; ", new AppStatus().addError(codes.SHUTTING_DOWN).errors.length);
+    l.error(codes.SHUTTING_DOWN);
+    return `
+demo: WARN: demo.mjs:759: retrying: AppError: ERROR: demo.mjs:755: E_DB_TIMEOUT: database db1 timed out after 500ms (exit 75, HTTP 504, database)
+demo: INFO: demo.mjs:763: not found? true; errors: 0; warnings: 1; 1
+demo: ERROR: demo.mjs:764: E_DB_TIMEOUT: database db2 timed out after {ms}ms
+demo: WARN: demo.mjs:765: E_NO_SUCH_KEY: no such key bar
+demo: INFO: demo.mjs:766: as an AppError: E_NO_SUCH_KEY
+demo: INFO: demo.mjs:767: no params: E_SHUTTING_DOWN, exit 0; 1
+demo: ERROR: demo.mjs:768: E_SHUTTING_DOWN: shutting down
+`;
+}
+
+/** errors can wrap the errors that caused them; logging shows the whole chain of causes, each with its code
+  *   location (AppErrors) or first stack lines (other errors; how many is set with setASCIIOptions())
+  */
+export function doChainCauses(l) {
+    function readConfig() {
+        try {
+            JSON.parse("{oops");
+        } catch (err) {
+            throw new AppError("bad config", new Options({cause: err}));
+        }
+    }
+    try {
+        readConfig();
+    } catch (err) {
+        l.info("has cause? ", err.cause instanceof SyntaxError);
+        let s = new AppStatus().addError("startup failed", new Options({cause: err}));
+        l.error(s);
+    }
+    setASCIIOptions({stackLines: 2});
+    l.warn("with 2 stack lines: ", new Error("outer", {cause: new Error("inner")}));
+    setASCIIOptions({stackLines: 1});
+    return `
+demo: INFO: demo.mjs:788: has cause? true
+demo: ERROR: demo.mjs:790: ERROR: demo.mjs:789: startup failed
+caused by: AppError: ERROR: demo.mjs:783: bad config
+caused by: SyntaxError: Expected property name or '}' in JSON at position 1
+<STACKTRACE - 1 line>
+demo: WARN: demo.mjs:793: with 2 stack lines: Error: outer
+<STACKTRACE - 1 line>
+<STACKTRACE - 1 line>
+caused by: Error: inner
+<STACKTRACE - 1 line>
+<STACKTRACE - 1 line>
+`;
+}
+
+/** library code can record verbose and debug detail in a status object, without a logger; log() shows it only
+  *   if the logger's verbosity and debug tags allow, e.g. when the CLI runs with -vvv
+  */
+export function doStatusDetail(l) {
+    function parseRecords() {
+        let s = new AppStatus().addInfo("parsed 2 records");
+        s.addVerbose(1, "record 1: ok");
+        s.addVerbose(3, "record 2: ok");
+        s.addDebug('parse', "tokens: ", ['a', 'b']);
+        s.addDebug(null, "done");
+        return s;
+    }
+    let cli = new AppLogger('demo', {verbose: 1, debug: 'parse'});
+    cli.diagStream = l.diagStream;
+    parseRecords().log(cli);
+    return `
+demo: INFO: demo.mjs:835: INFO: demo.mjs:825: parsed 2 records
+demo: V1: demo.mjs:835: demo.mjs:826: record 1: ok
+demo: DEBUG[parse]: demo.mjs:835: demo.mjs:828: tokens: ["a","b"]
+`;
+}
+
+/** log() can write each message of a status object as its own log line, at its own level and attributed to the
+  *   code location where it was added, with a prefix naming the operation
+  */
+export function doLogPerEntry(l) {
+    let s = new AppStatus("no such table: users");
+    s.addWarning("slow connection");
+    s.addInfo("connected to db1");
+    s.addDebug('db', "query plan: seq scan");
+    s.log(l, "migrating", new Options({perEntry: true}));
+    return `
+demo: ERROR: demo.mjs:846: migrating: no such table: users
+demo: WARN: demo.mjs:847: migrating: slow connection
+demo: INFO: demo.mjs:848: migrating: connected to db1
+`;
+}
+
+/** AppStatus.try() runs a function and gives a status object with its value, or with the error it threw, instead
+  *   of a try/catch around every call; for async functions (and fromPromise(), all(), allSettled()) you await
+  *   the status object
+  */
+export function doTryFunctions(l) {
+    let parsed = AppStatus.try(() => JSON.parse('{"a": 1}'));
+    l.info("parsed: ", parsed.getValue());
+    let failed = AppStatus.try(() => { throw new AppError("no config"); });
+    l.info("failed: ", failed);
+    let thrown = AppStatus.try((x) => x.missing.field, {});
+    l.info("thrown: ", thrown.hasErrors(), "; ", thrown.getLastErrorDiagnostic().parts[0] instanceof TypeError);
+    l.info("async gives a promise? ", AppStatus.try(async () => 1) instanceof Promise);
+    return `
+demo: INFO: demo.mjs:862: parsed: {"a":1}
+demo: INFO: demo.mjs:864: failed: ERROR: demo.mjs:863: no config
+demo: INFO: demo.mjs:866: thrown: true; true
+demo: INFO: demo.mjs:867: async gives a promise? true
+`;
+}
+
+/** warnings and errors can be deduplicated too, optionally ignoring where the messages were added; a status
+  *   object can also deduplicate messages as they are added, e.g. when collecting statuses in a loop
+  */
+export function doDedupAcrossLevels(l) {
+    let s = new AppStatus("disk full");
+    s.addError("disk full");
+    for (let i = 0; i < 2; i++)
+        s.addWarning("retrying");
+    s.dedupErrors({ignoreLocation: true}).dedupWarnings();
+    let first = s.getDiagnostics(['ERROR'])[0];
+    l.info(s, "; count: ", first.count, "; lines: ", first.firstSeen.line < first.lastSeen.line);
+    let all = new AppStatus().setAutoDedup();
+    for (let i = 0; i < 3; i++)
+        all.addStatus(new AppStatus().addWarning("low on memory"));
+    l.info(all);
+    return `
+demo: INFO: demo.mjs:888: ERROR: demo.mjs:882: disk full (x2); WARN: demo.mjs:884: retrying (x2); count: 2; lines: true
+demo: INFO: demo.mjs:892: WARN: demo.mjs:891: low on memory (x3)
+`;
+}
+
+/** repeated messages can be rate-limited, e.g. in retry loops: write only every Nth message, or at most one per
+  *   period, from the same call site (or with the same message); a summary of what was suppressed follows once
+  *   the flood stops, or when flushSuppressed() is called
+  */
+export function doThrottleMessages(l) {
+    for (let i = 1; i <= 250; i++)
+        l.warn("retry ", i, new Options({every: 100}));
+    for (let i = 1; i <= 10; i++)
+        l.info("polling", new Options({throttleMs: 5000}));
+    l.error("connection lost", new Options({throttleMs: 5000, throttleKey: 'message'}));
+    l.error("connection lost", new Options({throttleMs: 5000, throttleKey: 'message'}));
+    l.flushSuppressed();
+    return `
+demo: WARN: demo.mjs:903: retry 1
+demo: WARN: demo.mjs:903: retry 101
+demo: WARN: demo.mjs:903: retry 201
+demo: INFO: demo.mjs:905: polling
+demo: ERROR: demo.mjs:906: connection lost
+demo: WARN: demo.mjs:903: (suppressed 247 similar messages)
+demo: INFO: demo.mjs:905: (suppressed 9 similar messages)
+demo: ERROR: demo.mjs:906: (suppressed 1 similar message)
+`;
+}
+
+/** secrets are redacted from logged values: the values of keys like password, token, authorization and apiKey
+  *   in objects and Maps, and bearer tokens and card numbers in strings; what is redacted can be configured
+  */
+export function doRedactSecrets(l) {
+    let config = {host: 'db1', DB_PASSWORD: 'hunter2', auth: {apiKey: 'k-123', user: 'bob'}};
+    l.info("config: ", config);
+    l.info("headers: ", new Map([['Authorization', 'Bearer abc.def'], ['accept', '*/*']]));
+    l.warn("request failed with header Bearer eyJhbGciOi.x-y_z= for card 4111 1111 1111 1111, order 4111111111111112");
+    let token = 'eyJhbGciOi.x-y_z=';
+    let sent = new AppStatus("sent Bearer ", token);
+    l.info("Authorization: Bearer ", token, "; ", sent);                         // whole messages are scrubbed...
+    l.info("serialized parts: ", JSON.parse(JSON.stringify(sent)).errors[0].parts); // ...and so are their parts
+    l.info("limits: ", {max_tokens: 500, secretary: 'ann', accessToken: 'abc'});   // keys match at their end
+    setRedaction({addKeys: ['ssn'], addPatterns: [/\bacct-\d+/]});
+    l.info(new AppStatus("no access for ", {ssn: '078-05-1120'}, " to acct-42"));
+    let denied = AppStatus.runWithContext({apiToken: 'sekret'}, () => new AppStatus("denied"));
+    l.info("serialized context: ", JSON.parse(JSON.stringify(denied)).errors[0].context);
+    setRedaction({defaults: true, enabled: false});
+    l.info("unredacted: ", {password: 'hunter2'});
+    setRedaction({enabled: true});
+    return `
+demo: INFO: demo.mjs:923: config: {"host":"db1","DB_PASSWORD":"[REDACTED]","auth":{"apiKey":"[REDACTED]","user":"bob"}}
+demo: INFO: demo.mjs:924: headers: {"Authorization":"[REDACTED]","accept":"*/*"}
+demo: WARN: demo.mjs:925: request failed with header Bearer [REDACTED] for card [REDACTED], order 4111111111111112
+demo: INFO: demo.mjs:928: Authorization: Bearer [REDACTED]; ERROR: demo.mjs:927: sent Bearer [REDACTED]
+demo: INFO: demo.mjs:929: serialized parts: ["sent Bearer [REDACTED]"]
+demo: INFO: demo.mjs:928: limits: {"max_tokens":500,"secretary":"ann","accessToken":"[REDACTED]"}
+demo: INFO: demo.mjs:927: ERROR: demo.mjs:927: no access for {"ssn":"[REDACTED]"} to [REDACTED]
+demo: INFO: demo.mjs:929: serialized context: {"apiToken":"[REDACTED]"}
+demo: INFO: demo.mjs:930: unredacted: {"password":"hunter2"}
+`;
+}
+
+/** strings are escaped, so user input can't forge log lines or corrupt terminals: by default, lines after a
+  *   newline are indented, and control and non-ASCII characters are shown as escape sequences; the 'safe' mode
+  *   also escapes newlines, so each message is one line
+  */
+export function doEscapeUntrustedInput(l) {
+    let userInput = "bob\ndemo: ERROR: demo.mjs:1: forged \x1b[31mred\x1b[0m caf\u00e9";
+    l.info("login by ", userInput);
+    l.info("indented? ", l.info("login by ", userInput, new Options({asString: true})).includes("\n  demo: ERROR"));
+    setASCIIOptions({escape: 'safe'});
+    l.info("login by ", userInput, " from C:\\Users");
+    setASCIIOptions({escape: 'multiline'});
+    return `
+demo: INFO: demo.mjs:940: login by bob
+  demo: ERROR: demo.mjs:1: forged \\x1b[31mred\\x1b[0m caf\\u00e9
+demo: INFO: demo.mjs:941: indented? true
+demo: INFO: demo.mjs:943: login by bob\\ndemo: ERROR: demo.mjs:1: forged \\x1b[31mred\\x1b[0m caf\\u00e9 from C:\\Users
+`;
+}
+
+/**
+ * Render objects within limits
+ *
+ * Logged objects are rendered with limits on depth, array items, string length and total size (see
+ *   setASCIIOptions()), so a huge or cyclic object can't flood the log.  Sets, Maps, Dates, BigInts, Buffers,
+ *   functions and class instances are rendered readably.
+ */
+export function doBoundedRendering(l) {
+    class Job {
+        constructor() {
+            this.id = 7n;
+            this.started = new Date(0);
+            this.tags = new Set(['nightly', 'db']);
+            this.run = function runJob() {};
+            this.payload = Buffer.from('ok');
+        }
+    }
+    let job = new Job();
+    job.self = job;
+    l.info("job: ", job);
+    setASCIIOptions({maxDepth: 2, maxArrayItems: 3, maxStringLength: 8, sortKeys: true});
+    l.info("limited: ", {steps: [1, 2, 3, 4, 5], nested: {a: {b: {c: 1}}}, note: 'a very long note'});
+    setASCIIOptions({maxDepth: 8, maxArrayItems: 100, maxStringLength: 10000, sortKeys: false});
+    let broken = {toJSON() { throw new Error("not serializable"); }};
+    l.info("odd objects: ", {stack: 5}, " ", broken, " ", {inner: broken});     // they don't break logging
+    return `
+demo: INFO: demo.mjs:960: job: {"@class":"Job","id":"7n","started":"1970-01-01T00:00:00.000Z","tags":["nightly","db"],"run":"[Function: runJob]","payload":"<Buffer 6f 6b>","self":"[Circular]"}
+demo: INFO: demo.mjs:962: limited: {"nested":{"a":"[Object]"},"note":"a very l...(8 more chars)","steps":[1,2,3,"... 2 more items"]}
+demo: INFO: demo.mjs:965: odd objects: {"stack":5} [Thrown: not serializable] {"inner":"[Thrown: not serializable]"}
+`;
+}
+
+/**
+ * Render domain objects concisely
+ *
+ * A class can define a [formatSymbol]() method, or have a formatter registered with registerFormatter(), to control
+ *   how its objects are logged, without changing their toString().
+ */
+import { formatSymbol, registerFormatter } from './dist-cjs/index.js';
+export function doFormatDomainObjects(l) {
+    class User {
+        constructor(id, name, password) {
+            this.id = id;
+            this.name = name;
+            this.password = password;
+        }
+        [formatSymbol]() {
+            return 'User#' + this.id;
+        }
+    }
+    class Order {
+        constructor(id, user, items) {
+            this.id = id;
+            this.user = user;
+            this.items = items;
+        }
+    }
+    registerFormatter(Order, order => ({order: order.id, by: order.user, items: order.items.length}));
+    let alice = new User(1, 'alice', 'hunter2');
+    let order = new Order(42, alice, ['book', 'pen']);
+    l.info("placed by ", alice, ": ", order);
+    l.info("batch: ", [order, order]);
+    registerFormatter(Order, null);
+    l.info("unformatted: ", order);
+    class Money {
+        constructor(cents) {
+            this.cents = Math.round(cents);
+        }
+    }
+    registerFormatter(Money, money => new Money(money.cents)); // not applied again to the normalized copy
+    l.info("total: ", new Money(1999.6));
+    registerFormatter(Money, null);
+    return `
+demo: INFO: demo.mjs:1000: placed by User#1: {"order":42,"by":"User#1","items":2}
+demo: INFO: demo.mjs:1001: batch: [{"order":42,"by":"User#1","items":2},{"order":42,"by":"User#1","items":2}]
+demo: INFO: demo.mjs:1003: unformatted: {"@class":"Order","id":42,"user":"User#1","items":["book","pen"]}
+demo: INFO: demo.mjs:1010: total: {"@class":"Money","cents":2000}
+`;
+}
+
 /**
  * Test numFramesInThisModule()
  * 
@@ -13,31 +13,91 @@ export class Options {
     }
 }
 
+/**
+ * Captures the frames of the call stack as structured call sites (V8 CallSite objects, or look-alikes on engines
+ *   without Error.captureStackTrace), without rendering the stack as text.
+ * @param {*} skip - number of frames to skip; 0 is the caller of captureCallSites()
+ * @param {*} limit - maximum number of frames to capture after the skipped ones
+ * @returns an array of call sites, with getFileName(), getLineNumber(), getColumnNumber() and getFunctionName()
+ */
+import * as stackTraceParser from 'stacktrace-parser';
+function captureCallSites(skip, limit) {
+    if (typeof Error.captureStackTrace == 'function') {
+        let savedLimit = Error.stackTraceLimit;
+        let savedPrepare = Error.prepareStackTrace;
+        let holder = {};
+        let callSites;
+        try {
+            Error.stackTraceLimit = skip + limit;
+            Error.prepareStackTrace = (_, structured) => structured;
+            Error.captureStackTrace(holder, captureCallSites);
+            callSites = holder.stack;
+        } finally {
+            Error.stackTraceLimit = savedLimit;
+            Error.prepareStackTrace = savedPrepare;
+        }
+        if (Array.isArray(callSites))
+            return callSites.slice(skip);
+    }
+    // no structured call sites on this engine, so parse the text of the stack
+    return stackTraceParser.parse(new Error().stack).slice(1 + skip, 1 + skip + limit).map(frame => toCallSite(frame));
+}
+
+/**
+ * @param {*} frame - a stack frame parsed by stacktrace-parser
+ * @returns a look-alike of a call site for the frame (see captureCallSites())
+ */
+function toCallSite(frame) {
+    return {
+        getFileName: () => frame.file,
+        getLineNumber: () => frame.lineNumber,
+        getColumnNumber: () => frame.column,
+        getFunctionName: () => frame.methodName == '<unknown>' ? null : frame.methodName,
+        getTypeName: () => null,
+        isToplevel: () => true,
+    };
+}
+
+/**
+ * @param {*} err - an error that was thrown
+ * @returns the call site where the error was created, i.e. the first frame of its stack that is in a file, or
+ *   null if there is no such frame (e.g. not an Error)
+ */
+var sourceFileMatcher = new RegExp(/^(\/|file:|[A-Za-z]:\\)/);
+function getErrorCallSite(err) {
+    if (! isString(err?.stack))
+        return null;
+    let frame = stackTraceParser.parse(err.stack.toString()).find(x => sourceFileMatcher.test(x.file ?? ''));
+    return frame === undefined ? null : toCallSite(frame);
+}
+
+/**
+ * Number of frames to capture when looking for the first frame outside a module; deeper nesting than this, within
+ *   a module, is attributed to the outermost captured frame.
+ */
+const maxModuleFrames = 50;
+
+/**
+ * @param {*} callSites - array of call sites
+ * @returns the number of contiguous call sites at the start of the array that are in the same file as the first
+ */
+function countFramesInFirstModule(callSites) {
+    if (! callSites.length) return 0;
+    let thisModule = callSites[0].getFileName();
+    let i = 1;
+    while (i < callSites.length && callSites[i].getFileName() == thisModule)
+        i++;
+    return i;
+}
+
 /**
  *
  * @returns the number of contiguous stack frames that are in the module where
   numFramesInThisModule() is called, including and starting from the frame of the function
   call.  filename is as close as we can get to "module" in Javascript, so this is by filename.
  */
-import * as stackTraceParser from 'stacktrace-parser';
 export function numFramesInThisModule() {
-    try {
-        throw new Error('My error');
-    } catch(ex) {
-        const frames = stackTraceParser.parse(ex.stack);
-
-        /*
-        for (let i of Array.from({length: frames.length}, (x, i) => i)) {
-            console.log("frame", i, ": ", frames[i].getFileName());
-        } */
-
-        if (frames.length < 2) return 0;
-        let thisModule = frames[1].file;
-        //console.log("module: ", thisModule);
-        for (let i of Array.from({length: frames.length - 2}, (x, i) => i))
-            if (frames[2 + i].file != thisModule) return i + 1;
-        return frames.length - 1; // don't count this function call
-    }
+    return countFramesInFirstModule(captureCallSites(1, maxModuleFrames));
 }
 
 /**
@@ -50,6 +110,74 @@ function getOptions(args) {
     return new Options({});
 }
 
+/**
+ * Lazy - a message part which is only computed if the message is actually written, e.g.
+ *   l.ifDebug("state: ", lazy(() => expensiveDump()));
+ * @param fn - function that computes the message part
+ */
+export class Lazy {
+    constructor(fn) {
+        if (typeof fn != 'function')
+            throw new TypeError("Lazy needs a function, but got " + typeof fn);
+        this.fn = fn;
+    }
+
+    /**
+     * @returns the computed message part
+     */
+    resolve() {
+        return this.fn();
+    }
+}
+
+/**
+ * @param {*} fn - function that computes a message part
+ * @returns a Lazy message part, which calls fn only if the message is written
+ */
+export function lazy(fn) {
+    return new Lazy(fn);
+}
+
+/**
+ * @param {*} part - a Lazy message part
+ * @returns the computed message part; if computing it throws, a string saying so, so a broken message part
+ *   doesn't break logging
+ */
+function resolveLazy(part) {
+    try {
+        return part.resolve();
+    } catch (e) {
+        return '[Thrown: ' + e?.message + ']';
+    }
+}
+
+/**
+ * Computes the lazy parts of a message that is about to be written.
+ * @param {*} parts - array of message parts
+ * @returns array of message parts, with the lazy parts computed
+ */
+function resolveParts(parts) {
+    return parts.map(x => x instanceof Lazy ? resolveLazy(x) : x);
+}
+
+/**
+ * Turns the functions in a message for a conditional method (v1(), v2(), v3(), ifDebug(), ifVerbose()) into Lazy
+ *   parts (thunks), so ifDebug("state: ", () => dump()) works; classes and built-in functions are left as they
+ *   are.
+ * @param {*} parts - array of message parts
+ * @returns array of message parts
+ */
+var classMatcher = new RegExp(/^class[\s{]/);
+var nativeCodeMatcher = new RegExp(/\{\s*\[native code\]\s*\}$/);
+function thunksToLazy(parts) {
+    return parts.map(x => {
+        if (typeof x != 'function')
+            return x;
+        let code = Function.prototype.toString.call(x);
+        return classMatcher.test(code) || nativeCodeMatcher.test(code) ? x : new Lazy(x);
+    });
+}
+
 /**
  * @param {*} data 
  * @returns true iff the data is a string.
@@ -58,21 +186,290 @@ function isString(data) {
     return typeof data === 'string' || data instanceof String;
 }
 
+/** settings for makeASCII(), see setASCIIOptions() */
+const asciiOptions = {stackLines: 1, escape: 'multiline', maxDepth: 8, maxArrayItems: 100, maxStringLength: 10000,
+                      maxBytes: 65536, sortKeys: false};
+const escapeModes = ['none', 'safe', 'multiline'];
+
+/**
+ * The method objects can define to control how makeASCII() (and so logging) renders them, without changing their
+ *   toString(), e.g.
+ *     [formatSymbol]() { return 'User ' + this.id; }
+ * The method can return a string, which is shown as is (escaped and redacted), or any other value, which is
+ *   rendered instead of the object.  As it is registered with Symbol.for(), other libraries can define the method
+ *   without depending on this module.
+ */
+export const formatSymbol = Symbol.for('apperror.format');
+
+/** formatters registered with registerFormatter(), by class */
+const formatters = new Map();
+
+/**
+ * Registers how makeASCII() (and so logging) renders objects of a class (and its subclasses), e.g.
+ *   registerFormatter(Order, order => 'Order ' + order.id + ' (' + order.items.length + ' items)');
+ * A formatter registered for a subclass wins over one for its base class, and a [formatSymbol]() method of the
+ *   object wins over both.  A formatter isn't applied to what it returned, so it can return (or contain) objects
+ *   of its own class, e.g. a normalized copy.
+ * @param {*} cls - the class
+ * @param {*} formatter - function taking an object of the class and returning a string or another value to render
+ *   (see formatSymbol), or null to remove the formatter of the class
+ */
+export function registerFormatter(cls, formatter) {
+    if (typeof cls != 'function')
+        throw new TypeError("registerFormatter() needs a class, but got " + typeof cls);
+    if (formatter === null)
+        formatters.delete(cls);
+    else if (typeof formatter == 'function')
+        formatters.set(cls, formatter);
+    else
+        throw new TypeError("formatter must be a function or null, but was " + typeof formatter);
+}
+
+/**
+ * @param {*} s - an object
+ * @returns the function that renders the object (see formatSymbol and registerFormatter()), or undefined
+ */
+function findFormatter(s) {
+    if (typeof s[formatSymbol] == 'function')
+        return s[formatSymbol];
+    if (! formatters.size)
+        return undefined;
+    for (let prototype = Object.getPrototypeOf(s); prototype !== null; prototype = Object.getPrototypeOf(prototype)) {
+        let formatter = formatters.get(prototype.constructor);
+        if (formatter !== undefined)
+            return formatter;
+    }
+    return undefined;
+}
+
+/**
+ * @param {*} s - an object
+ * @param {*} formatter - its formatter (see findFormatter()); a [formatSymbol]() method or a registered formatter
+ * @returns what the formatter made of the object; if the formatter throws, a string saying so
+ */
+function applyFormatter(s, formatter) {
+    try {
+        return formatter.call(s, s);
+    } catch (e) {
+        return '[Thrown: ' + e?.message + ']';
+    }
+}
+
+/**
+ * Changes how makeASCII() (and so logging) renders things.
+ * @param {*} options - an object which may contain:
+ *     stackLines : the number of stack lines shown for an Error, and for each error in its chain of causes
+ *       [default: 1]
+ *     escape : how strings (e.g. user input) are escaped, so they can't forge log lines or corrupt terminals:
+ *       'safe' shows newlines, control characters and non-ASCII characters as escape sequences (\n, \x1b,
+ *       \u00e9), so each message is one line; 'multiline' does the same, except that newlines are kept, and the
+ *       lines after them indented; 'none' leaves strings as they are (the behavior of older versions)
+ *       [default: 'multiline']
+ *     maxDepth : how deep objects are rendered; deeper objects are shown as e.g. [Object] or [Array(3)]
+ *       [default: 8]
+ *     maxArrayItems : how many items of an array, typed array, Set or Map are rendered [default: 100]
+ *     maxStringLength : how much of a string inside an object is rendered [default: 10000]
+ *     maxBytes : how long the rendering of one value can get [default: 65536]
+ *     sortKeys : if true, the keys of objects and Maps are rendered in sorted order [default: false]
+ */
+export function setASCIIOptions(options) {
+    if (options?.stackLines !== undefined) {
+        if (!Number.isInteger(options.stackLines) || options.stackLines < 0)
+            throw new TypeError("stackLines must be a non-negative integer, but was " + options.stackLines);
+        asciiOptions.stackLines = options.stackLines;
+    }
+    if (options?.escape !== undefined) {
+        if (! escapeModes.includes(options.escape))
+            throw new TypeError("escape must be one of " + escapeModes.join(', ') + ", but was " + options.escape);
+        asciiOptions.escape = options.escape;
+    }
+    for (let limit of ['maxDepth', 'maxArrayItems', 'maxStringLength', 'maxBytes'])
+        if (options?.[limit] !== undefined) {
+            if (!Number.isInteger(options[limit]) || options[limit] < 0)
+                throw new TypeError(limit + " must be a non-negative integer, but was " + options[limit]);
+            asciiOptions[limit] = options[limit];
+        }
+    if (options?.sortKeys !== undefined)
+        asciiOptions.sortKeys = options.sortKeys ? true : false;
+}
+
+/** characters escaped by escapeText(): anything but printable ASCII */
+var unsafeCharMatcher = new RegExp(/[^\x20-\x7e]/gu);
+var unsafeCharTester = new RegExp(/[^\x20-\x7e]/u);
+const controlCharEscapes = {'\n': '\\n', '\r': '\\r', '\t': '\\t'};
+
+/**
+ * Escapes text per asciiOptions.escape (see setASCIIOptions()); backslashes are left as they are, so paths stay
+ *   readable.
+ * @param {*} text - a string
+ * @returns the escaped string
+ */
+function escapeText(text) {
+    if (asciiOptions.escape == 'none' || ! unsafeCharTester.test(text))
+        return text;
+    let multiline = asciiOptions.escape == 'multiline';
+    return text.replace(unsafeCharMatcher, (c, offset) => {
+        if (c == '\n' && multiline) // lines that are indented already (e.g. escaped before) stay as they are
+            return text.startsWith(continuationIndent, offset + 1) ? c : '\n' + continuationIndent;
+        if (c in controlCharEscapes)
+            return controlCharEscapes[c];
+        let code = c.codePointAt(0);
+        if (code < 0x80)
+            return '\\x' + code.toString(16).padStart(2, '0');
+        if (code < 0x10000)
+            return '\\u' + code.toString(16).padStart(4, '0');
+        return '\\u{' + code.toString(16) + '}';
+    });
+}
+const continuationIndent = '  ';
+
+/** beyond this many causes, a chain of causes is cut off (also guards against cycles) */
+const maxCauseDepth = 10;
+
+/**
+ * @param {*} err - an Error (with a stack)
+ * @param {*} depth - how deep err is in the chain of causes
+ * @returns the first line of the error's stack, followed by asciiOptions.stackLines lines of the stack, and then
+ *   the error's chain of causes (see describeCause())
+ */
+function errorToASCII(err, depth) {
+    let lines = err.stack.split('\n');
+    let text = lines.slice(0, 1 + asciiOptions.stackLines).join('\n');
+    if (err.cause !== undefined)
+        text += describeCause(err.cause, depth + 1);
+    return text;
+}
+
+/**
+ * @param {*} cause - the cause of an error; an Error (possibly with causes of its own), an AppError or anything
+ * @param {*} depth - how deep the cause is in the chain of causes [default: 1]
+ * @returns the cause, rendered on a new line after 'caused by: '; AppErrors show their code locations, and other
+ *   errors their first stack lines
+ */
+function describeCause(cause, depth=1) {
+    if (depth > maxCauseDepth)
+        return '\ncaused by: ...';
+    if (typeof cause?.stack == 'string' && !(cause instanceof AppStatus) && !(cause instanceof AppError))
+        return '\ncaused by: ' + errorToASCII(cause, depth);
+    return '\ncaused by: ' + makeASCII(cause);
+}
+
+/**
+ * Redaction of secrets, applied by makeASCII() (and so by adorn(), AppLogger and AppStatus) and by the json output
+ *   of AppLogger; see setRedaction()
+ */
+const defaultRedactedKeys = ['password', 'passwd', 'secret', 'secretkey', 'privatekey', 'token', 'authorization',
+                             'apikey'];
+const defaultRedactionPatterns = [
+    // credentials in Authorization headers
+    {pattern: /\b(Bearer|Basic)\s+[A-Za-z0-9\-._~+/]+=*/gi, replace: (match, scheme) => scheme + ' ' + redaction.mask},
+    // card numbers: 13-19 digits, possibly grouped with spaces or dashes, that pass the Luhn check
+    {pattern: /\b[2-6]\d{3}(?:[ -]?\d){9,15}\b/g, replace: (match) => isLuhnValid(match) ? redaction.mask : match},
+];
+const redaction = {
+    enabled: true,
+    keys: defaultRedactedKeys.map(x => normalizeKey(x)),
+    patterns: defaultRedactionPatterns,
+    mask: '[REDACTED]',
+};
+
+/**
+ * Changes what is redacted from logged values and messages.
+ * @param {*} options - an object which may contain:
+ *     defaults : set true to go back to the default keys, patterns and mask (before applying the other options)
+ *     enabled : set false to turn redaction off [default: true]
+ *     keys : the keys whose values are masked in objects and Maps, replacing the default ones ('password',
+ *       'passwd', 'secret', 'secretKey', 'privateKey', 'token', 'authorization', 'apiKey'); a key matches if it
+ *       ends with one of these, ignoring case, '-' and '_', e.g. 'DB_PASSWORD' and 'x-api-key' match, but
+ *       'max_tokens' and 'secretary' don't
+ *     addKeys : keys to mask, in addition to the current ones
+ *     patterns : the patterns scrubbed from strings, replacing the default ones (bearer/basic credentials and card
+ *       numbers); each a RegExp, whose matches are masked, or an object {pattern, replace} with a global RegExp
+ *       and a replacement string or function (as for String.replace())
+ *     addPatterns : patterns to scrub, in addition to the current ones
+ *     mask : what is shown instead of a secret [default: '[REDACTED]']
+ */
+export function setRedaction(options) {
+    if (options?.defaults) {
+        redaction.keys = defaultRedactedKeys.map(x => normalizeKey(x));
+        redaction.patterns = defaultRedactionPatterns;
+        redaction.mask = '[REDACTED]';
+    }
+    if (options?.enabled !== undefined)
+        redaction.enabled = options.enabled ? true : false;
+    if (options?.keys !== undefined)
+        redaction.keys = options.keys.map(x => normalizeKey(x));
+    if (options?.addKeys !== undefined)
+        redaction.keys = [...redaction.keys, ...options.addKeys.map(x => normalizeKey(x))];
+    if (options?.patterns !== undefined)
+        redaction.patterns = options.patterns.map(x => toRedactionPattern(x));
+    if (options?.addPatterns !== undefined)
+        redaction.patterns = [...redaction.patterns, ...options.addPatterns.map(x => toRedactionPattern(x))];
+    if (options?.mask !== undefined)
+        redaction.mask = options.mask.toString();
+}
+
+/**
+ * @param {*} pattern - a RegExp, or an object {pattern, replace} (see setRedaction())
+ * @returns the pattern as {pattern, replace}, with a global RegExp
+ */
+function toRedactionPattern(pattern) {
+    if (pattern instanceof RegExp)
+        pattern = {pattern: pattern, replace: () => redaction.mask};
+    if (! (pattern?.pattern instanceof RegExp))
+        throw new TypeError("A redaction pattern must be a RegExp or {pattern: RegExp, replace}, but is " + typeof pattern);
+    let regExp = pattern.pattern.global ? pattern.pattern : new RegExp(pattern.pattern.source, pattern.pattern.flags + 'g');
+    return {pattern: regExp, replace: pattern.replace ?? (() => redaction.mask)};
+}
+
+/**
+ * @param {*} key - a key of an object or Map
+ * @returns the key in lower case, without '-' and '_', for matching against the redacted keys
+ */
+function normalizeKey(key) {
+    return key.toString().toLowerCase().replace(/[-_]/g, '');
+}
+
+/**
+ * @param {*} key - a key of an object or Map
+ * @returns true iff the value of the key is to be masked
+ */
+function isRedactedKey(key) {
+    if (! redaction.enabled || !(isString(key) || typeof key == 'number'))
+        return false;
+    let normalized = normalizeKey(key);
+    return redaction.keys.some(x => normalized.endsWith(x));
+}
+
 /**
- * Recursively remove _SA variables, since they are only needed for deserializing, and add clutter for logging
- * @param {*} obj - is edited in place
- * @returns the edited object
+ * @param {*} digits - a card number, possibly with spaces or dashes
+ * @returns true iff the number passes the Luhn checksum
  */
-const matchSAPrivate = /^_SA/;
-function removeSAPrivate(obj) {
-    if (! (obj instanceof Object)) return obj;
-    for (const prop of Object.getOwnPropertyNames(obj)) {
-        if (matchSAPrivate.test(prop))
-            delete obj[prop];
-        else if (obj[prop] instanceof Object)
-            obj[prop] = removeSAPrivate(obj[prop]);
+function isLuhnValid(digits) {
+    let sum = 0;
+    let double = false;
+    for (let i = digits.length - 1; i >= 0; i--) {
+        let digit = digits.charCodeAt(i) - 48;
+        if (digit < 0 || digit > 9)
+            continue;
+        if (double && (digit *= 2) > 9)
+            digit -= 9;
+        sum += digit;
+        double = ! double;
     }
-    return obj;
+    return sum % 10 == 0;
+}
+
+/**
+ * @param {*} text - a string
+ * @returns the string with the redaction patterns masked
+ */
+function scrubText(text) {
+    if (! redaction.enabled)
+        return text;
+    for (let {pattern, replace} of redaction.patterns)
+        text = text.replace(pattern, replace);
+    return text;
 }
 
 /**
@@ -81,33 +478,507 @@ function removeSAPrivate(obj) {
  * @param canonical : if true, strings are encoded as JSON (inside double-quotes)
  * @returns the ascii string
  */
- import * as serAny from 'serialize-anything';
- var firstTwoLines = new RegExp(/([^\n]*\n?){0,2}/m);
 export function makeASCII(s, canonical) {
-    if (isString(s))
-        if (canonical)
-            return '"' + Buffer.from(s, "ascii").toString() + '"';
-        else
-            return Buffer.from(s, "ascii").toString();
-    else if (s === null)
+    return toASCII(s, canonical, []);
+}
+
+/**
+ * @param {*} parts - the parts of a message
+ * @returns {msg, parts}: the text of the message, which is scrubbed as a whole, so that a secret split across
+ *   parts, e.g. ("Authorization: Bearer ", token), is redacted too; and the parts, which are replaced by that text
+ *   if so, since they would give the secret away
+ */
+function joinParts(parts) {
+    let text = parts.map(x => makeASCII(x)).join('');
+    let msg = scrubText(text);
+    return {msg: msg, parts: msg == text ? parts : [msg]};
+}
+
+/**
+ * Turns anything into a compact ASCII string (see makeASCII())
+ * @param {*} formatting - the formatters (see registerFormatter()) whose results are being rendered; they aren't
+ *   applied again, so a formatter whose result contains objects of its own class can't recurse forever
+ */
+function toASCII(s, canonical, formatting) {
+    if (s instanceof Lazy)
+        s = resolveLazy(s);
+    let formatter = s !== null && typeof s == 'object' ? findFormatter(s) : undefined;
+    if (formatter !== undefined && ! formatting.includes(formatter)) {
+        let formatted = applyFormatter(s, formatter);
+        if (formatted !== s)
+            return toASCII(formatted, canonical, [...formatting, formatter]);
+    }
+    if (isString(s)) {
+        // Diagnostics are already escaped, when they are added to status objects
+        let text = typeof s == 'object' && s instanceof Diagnostic ? scrubText(s.toString())
+                 : asciiOptions.escape == 'none' ? scrubText(Buffer.from(s, "ascii").toString())
+                 : escapeText(scrubText(s.toString()));
+        text = limitLength(text);
+        return canonical ? '"' + text + '"' : text;
+    } else if (s === null)
         return 'null';
     else if (s === undefined)
         return 'undefined'
     else if (typeof s == 'number')
         return s.toString();
-    else if (s instanceof Map)
-        return '{' + Array.from(s.entries()).map((x) => makeASCII(x[0], true /* canonical */) + ':' + makeASCII(x[1], true /* canonical */)).join(',') + '}';
-    else if (typeof s == 'object') {
-        if (s.stack !== undefined && !(s instanceof AppStatus) && !(s instanceof AppError)) return firstTwoLines.exec(s.stack)[0];
+    else if (s instanceof Map) {
+        let entries = Array.from(s.entries());
+        let keyText = (key) => toASCII(key, false, formatting);
+        if (asciiOptions.sortKeys)
+            entries.sort((a, b) => keyText(a[0]) < keyText(b[0]) ? -1 : keyText(a[0]) > keyText(b[0]) ? 1 : 0);
+        let rendered = entries.slice(0, asciiOptions.maxArrayItems).map((x) => toASCII(x[0], true /* canonical */, formatting) + ':' +
+            (isRedactedKey(x[0]) ? '"' + redaction.mask + '"' : toASCII(x[1], true /* canonical */, formatting)));
+        if (entries.length > rendered.length)
+            rendered.push('"...":"' + (entries.length - rendered.length) + ' more keys"');
+        return limitLength('{' + rendered.join(',') + '}');
+    } else if (typeof s == 'object' && !hasOwnRendering(s)) {
+        if (typeof s.stack == 'string' && !(s instanceof AppStatus) && !(s instanceof AppError)) return limitLength(escapeText(scrubText(errorToASCII(s, 0))));
+        if (s instanceof AppStatus || s instanceof AppError)
+            return scrubText(s.toString()); // made of Diagnostics, which are already escaped
         if (!Array.isArray(s) && s.toString !== Object.prototype.toString && typeof s.toString == 'function') {
-            return s.toString();
+            return limitLength(escapeText(scrubText(s.toString())));
+        }
+    }
+    let value = toBoundedValue(s, 0, [], {remaining: asciiOptions.maxBytes, formatting: [...formatting]});
+    return limitLength(escapeText(typeof value == 'string' && !canonical ? value : JSON.stringify(value)));
+}
+
+/**
+ * @param {*} s - an object
+ * @returns true iff the object is rendered by toBoundedValue(), even though it has a toString() of its own
+ */
+function hasOwnRendering(s) {
+    return s instanceof Set || s instanceof Date || ArrayBuffer.isView(s) || s instanceof ArrayBuffer;
+}
+
+/**
+ * @param {*} text - a rendered value
+ * @returns the text, cut off at asciiOptions.maxBytes, with a marker saying how much was cut off
+ */
+function limitLength(text) {
+    if (text.length <= asciiOptions.maxBytes)
+        return text;
+    return text.slice(0, asciiOptions.maxBytes) + '...(truncated ' + (text.length - asciiOptions.maxBytes) + ' bytes)';
+}
+
+/**
+ * @param {*} fn - a function or class
+ * @returns the rendering of the function, e.g. [Function: main] or [class Foo]
+ */
+function describeFunction(fn) {
+    if (classMatcher.test(Function.prototype.toString.call(fn)))
+        return '[class ' + (fn.name || '(anonymous)') + ']';
+    return '[Function: ' + (fn.name || '(anonymous)') + ']';
+}
+
+/**
+ * @param {*} s - an object
+ * @returns the name of the class of the object, or undefined for plain objects and objects without a prototype
+ */
+function className(s) {
+    let prototype = Object.getPrototypeOf(s);
+    if (prototype === null || prototype === Object.prototype)
+        return undefined;
+    return prototype.constructor?.name || undefined;
+}
+
+/**
+ * Turns anything into a JSON value that is bounded by the limits in asciiOptions (see setASCIIOptions()), with
+ *   markers where something was cut off, and with secrets redacted (see setRedaction()).
+ * Sets and typed arrays become arrays, Maps objects, Dates ISO strings, Buffers e.g. '<Buffer 68 69>', BigInts e.g.
+ *   '12n', functions e.g. '[Function: main]', and objects of a class get their class name under '@class'.
+ * @param {*} s - the value
+ * @param {*} depth - how deep the value is nested in the value being rendered
+ * @param {*} ancestors - the objects the value is nested in, to detect cycles
+ * @param {*} budget - {remaining, formatting}, the number of bytes left for the rendering, and the formatters
+ *   whose results are being rendered (see toASCII())
+ * @returns the JSON value
+ */
+function toBoundedValue(s, depth, ancestors, budget) {
+    if (s instanceof Lazy)
+        s = resolveLazy(s);
+    switch (typeof s) {
+        case 'undefined':
+            return null;
+        case 'boolean':
+            budget.remaining -= 5;
+            return s;
+        case 'number':
+            budget.remaining -= 8;
+            return Number.isFinite(s) ? s : String(s);
+        case 'bigint':
+            return boundedString(s.toString() + 'n', budget);
+        case 'symbol':
+            return boundedString(s.toString(), budget);
+        case 'function':
+            return boundedString(describeFunction(s), budget);
+        case 'string':
+            return boundedString(s, budget);
+    }
+    if (s === null)
+        return null;
+    let formatter = findFormatter(s);
+    if (formatter !== undefined && ! budget.formatting.includes(formatter)) {
+        let formatted = applyFormatter(s, formatter);
+        if (formatted !== s) {
+            budget.formatting.push(formatter);
+            try {
+                return toBoundedValue(formatted, depth, ancestors, budget);
+            } finally {
+                budget.formatting.pop();
+            }
         }
-        return JSON.stringify(removeSAPrivate(JSON.parse(serAny.serialize(s))._SA_Content));
-    } else {
-        return JSON.stringify(removeSAPrivate(JSON.parse(serAny.serialize(s))._SA_Content));
     }
+    if (isString(s) || s instanceof AppStatus || s instanceof AppError || s instanceof RegExp)
+        return boundedString(s.toString(), budget);
+    if (s instanceof Date)
+        return isNaN(s.getTime()) ? 'Invalid Date' : s.toISOString();
+    if (typeof s.stack == 'string' && s.message !== undefined)
+        return boundedString(s.name + ': ' + s.message, budget);
+    if (Buffer.isBuffer(s)) {
+        let bytes = Array.from(s.subarray(0, asciiOptions.maxArrayItems), x => x.toString(16).padStart(2, '0'));
+        let more = s.length - bytes.length;
+        return boundedString('<Buffer ' + bytes.join(' ') + (more > 0 ? ' ... ' + more + ' more bytes' : '') + '>', budget);
+    }
+    if (s instanceof ArrayBuffer)
+        return '<ArrayBuffer ' + s.byteLength + ' bytes>';
+    if (ancestors.includes(s))
+        return '[Circular]';
+    let name = className(s);
+    if (depth >= asciiOptions.maxDepth) {
+        if (Array.isArray(s) || ArrayBuffer.isView(s) || s instanceof Set || s instanceof Map)
+            return '[' + (name ?? 'Array') + '(' + (s.length ?? s.size) + ')]';
+        return '[' + (name ?? 'Object') + ']';
+    }
+    ancestors.push(s);
+    try {
+        if (Array.isArray(s) || ArrayBuffer.isView(s) || s instanceof Set)
+            return boundedItems(s instanceof Set ? s.values() : s, s.length ?? s.size, depth, ancestors, budget);
+        if (typeof s.toJSON == 'function') {
+            let json;
+            try {
+                json = s.toJSON();
+            } catch (e) {
+                return '[Thrown: ' + e?.message + ']';
+            }
+            if (json !== s)
+                return toBoundedValue(json, depth, ancestors, budget);
+        }
+        let entries = s instanceof Map ? Array.from(s.entries(), ([key, val]) => [isString(key) ? key.toString()
+                                                                                                    : toASCII(key, false, budget.formatting), val])
+                                       : Object.keys(s).map(key => [key, undefined]);
+        if (asciiOptions.sortKeys)
+            entries.sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+        let result = {};
+        if (name !== undefined && !(s instanceof Map))
+            result['@class'] = name;
+        for (let i = 0; i < entries.length; i++) {
+            if (budget.remaining <= 0) {
+                result['...'] = (entries.length - i) + ' more keys';
+                break;
+            }
+            let [key, val] = entries[i];
+            budget.remaining -= key.length + 4;
+            if (isRedactedKey(key)) {
+                result[key] = redaction.mask;
+                continue;
+            }
+            if (! (s instanceof Map)) {
+                try {
+                    val = s[key];
+                } catch (e) {
+                    val = '[Thrown: ' + e?.message + ']';
+                }
+                if (val === undefined)
+                    continue; // as JSON.stringify() does
+            }
+            result[key] = toBoundedValue(val, depth + 1, ancestors, budget);
+        }
+        return result;
+    } finally {
+        ancestors.pop();
+    }
+}
+
+/**
+ * @param {*} items - an iterable (array, typed array or Set values)
+ * @param {*} length - the number of items
+ * @returns the items as a JSON array, bounded like toBoundedValue()
+ */
+function boundedItems(items, length, depth, ancestors, budget) {
+    let result = [];
+    for (let item of items) {
+        if (result.length >= asciiOptions.maxArrayItems || budget.remaining <= 0)
+            break;
+        budget.remaining -= 1;
+        result.push(toBoundedValue(item, depth + 1, ancestors, budget));
+    }
+    if (result.length < length)
+        result.push('... ' + (length - result.length) + ' more items');
+    return result;
+}
+
+/**
+ * @param {*} s - a string inside a value being rendered
+ * @param {*} budget - {remaining}, the number of bytes left for the rendering
+ * @returns the string, redacted and cut off at asciiOptions.maxStringLength (or the remaining budget)
+ */
+function boundedString(s, budget) {
+    let text = scrubText(s.toString());
+    let max = Math.max(0, Math.min(asciiOptions.maxStringLength, budget.remaining));
+    budget.remaining -= Math.min(text.length, max) + 2;
+    if (text.length <= max)
+        return text;
+    return text.slice(0, max) + '...(' + (text.length - max) + ' more chars)';
+}
+
+
+/**
+ * Turn anything into a value that can be embedded in a JSON record, e.g. for the json output mode of AppLogger.
+ * Unlike makeASCII(), strings and numbers keep their type, and objects stay objects.
+ * @param {*} s : object that we want to embed in a JSON record
+ * @param {*} formatting : the formatters whose results are being rendered (see toASCII())
+ * @returns a JSON-compatible value
+ */
+function toJSONValue(s, formatting=[]) {
+    let formatter = s !== null && typeof s == 'object' ? findFormatter(s) : undefined;
+    if (formatter !== undefined && ! formatting.includes(formatter)) {
+        let formatted = applyFormatter(s, formatter);
+        if (formatted !== s)
+            return toJSONValue(formatted, [...formatting, formatter]);
+    }
+    if (isString(s))
+        return scrubText(s.toString());
+    else if (s === null || s === undefined)
+        return null;
+    else if (typeof s == 'number' || typeof s == 'boolean')
+        return s;
+    else if (typeof s == 'object' && !hasOwnRendering(s)) {
+        if (typeof s.stack == 'string' && !(s instanceof AppStatus) && !(s instanceof AppError)) {
+            let json = {name: s.name, message: scrubText(s.message), stack: scrubText(s.stack)};
+            if (s.cause !== undefined)
+                json.cause = toJSONValue(s.cause);
+            return json;
+        }
+        if (!Array.isArray(s) && s.toString !== Object.prototype.toString && typeof s.toString == 'function')
+            return scrubText(s.toString());
+    }
+    return toBoundedValue(s, 0, [], {remaining: asciiOptions.maxBytes, formatting: [...formatting]});
+}
+
+/**
+ * @param {*} record - the record of a diagnostic (see AppLogger.commonOut())
+ * @returns a copy of the record with its message parts converted to JSON values
+ */
+function jsonRecord(record) {
+    let json = {...record, parts: record.parts.map(x => toJSONValue(x))};
+    if (record.cause !== undefined)
+        json.cause = toJSONValue(record.cause);
+    if (record.context !== undefined)
+        json.context = toJSONValue(record.context);
+    return json;
+}
+
+/**
+ * Call sites already rendered into code locations, by file, line and column, since most logging happens from the
+ *   same few places over and over.
+ */
+const callSiteCache = new Map();
+const maxCachedCallSites = 10000;
+
+/**
+ * Whether code locations are mapped back to original sources with source maps; see enableSourceMaps()
+ */
+import { resolveSourcePosition } from './source-map.js';
+var useSourceMaps = false;
+
+/**
+ * Turns source map resolution of code locations on or off (it is off by default).
+ * 
+ * With it on, the file:line of diagnostics from compiled code (e.g. TypeScript compiled into a dist folder) points
+ *   to the original source, if the compiled file has an inline source map or a .map file.  Source maps are read
+ *   once per file, and the resolved locations are cached.
+ * @param {*} on - true to turn it on, false to turn it off [default: true]
+ */
+export function enableSourceMaps(on=true) {
+    useSourceMaps = on;
+    callSiteCache.clear();
+}
+
+/**
+ * Renders a call site into a code location, using the cache if possible, and source maps if enabled.
+ * @param {*} callSite - a call site (see captureCallSites())
+ * @returns an object with the file (reduced to a short, meaningful name), full path, line, column and function
+ *   name (if known) of the call site
+ */
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+var indexMatcher = new RegExp(/^index\..?js/); // index.js doesn't tell us much about a module
+function toCodeLocation(callSite) {
+    let fileName = callSite.getFileName() ?? '<anonymous>';
+    let line = callSite.getLineNumber();
+    let column = callSite.getColumnNumber();
+    let key = fileName + ':' + line + ':' + column;
+    let location = callSiteCache.get(key);
+    if (location === undefined) {
+        let original = useSourceMaps ? resolveSourcePosition(fileName, line, column) : null;
+        if (original !== null)
+            ({file: fileName, line, column} = original);
+        if (fileName.startsWith('file:'))
+            fileName = fileURLToPath(fileName);
+        let filePath = fileName.split('/');
+        let file = filePath[filePath.length - 1].match(indexMatcher) ? filePath[filePath.length - 2] : filePath[filePath.length - 1];
+        let fn = callSite.getFunctionName() ?? undefined;
+        let typeName = callSite.isToplevel() ? null : callSite.getTypeName();
+        if (fn !== undefined && typeName)
+            fn = typeName + '.' + fn;
+        location = {file: file, path: fileName, line: line, column: column, function: fn, relativePaths: new Map()};
+        if (callSiteCache.size >= maxCachedCallSites)
+            callSiteCache.clear();
+        callSiteCache.set(key, location);
+    }
+    return location;
+}
+
+/**
+ * How code locations are rendered, unless configured otherwise (see AppLogger's location option)
+ */
+const locationModes = ['basename', 'relative', 'full'];
+const defaultLocationSettings = {mode: 'basename', root: undefined, column: false, function: false};
+
+/**
+ * @param {*} location - true, false, or an object with settings for rendering code locations (see AppLogger's
+ *   location option)
+ * @returns the settings, with defaults filled in, or null if location capture is off
+ */
+function toLocationSettings(location) {
+    if (location === false)
+        return null;
+    if (location === true || location === undefined)
+        return defaultLocationSettings;
+    if (location.mode !== undefined && !locationModes.includes(location.mode))
+        throw new AppError("location mode must be one of ", locationModes, ", but was ", location.mode);
+    return {...defaultLocationSettings, ...location};
+}
+
+/**
+ * @returns the root directory of the package being run, i.e. the nearest directory at or above the current
+ *   directory which has a package.json (or the current directory, if there is none)
+ */
+var packageRoot = undefined;
+function getPackageRoot() {
+    if (packageRoot === undefined) {
+        packageRoot = process.cwd();
+        for (let dir = packageRoot; ; dir = path.dirname(dir)) {
+            if (fs.existsSync(path.join(dir, 'package.json'))) {
+                packageRoot = dir;
+                break;
+            }
+            if (path.dirname(dir) == dir)
+                break;
+        }
+    }
+    return packageRoot;
+}
+
+/**
+ * @param {*} location - a code location (see toCodeLocation())
+ * @param {*} settings - settings for rendering code locations (see toLocationSettings())
+ * @returns the file, line, column and function of the location, with the file rendered per the settings' mode
+ */
+function renderCodeLocation(location, settings) {
+    let file = location.file;
+    if (settings.mode == 'full')
+        file = location.path;
+    else if (settings.mode == 'relative' && path.isAbsolute(location.path)) {
+        let root = settings.root ?? getPackageRoot();
+        file = location.relativePaths.get(root);
+        if (file === undefined) {
+            file = path.relative(root, location.path);
+            location.relativePaths.set(root, file);
+        }
+    }
+    return {file: file, line: location.line, column: location.column, function: location.function};
+}
+
+/**
+ * Finds the code location of a calling stack frame.
+ * @param {*} extraFrames : how many frames to go up from the caller of getCallSite()
+ * @returns the code location of the stack frame (see toCodeLocation()); if the stack isn't that deep, the
+ *   outermost frame
+ */
+function getCallSite(extraFrames) {
+    let callSites = captureCallSites(1 + extraFrames, 1);
+    if (! callSites.length)
+        callSites = captureCallSites(0, Infinity).slice(-1);
+    return toCodeLocation(callSites[0]);
+}
+
+/**
+ * Finds the code location of the first stack frame outside the module of the caller of getCallSiteOutsideModule()
+ *   (or further up), walking the stack only once.
+ * @param {*} extraFrames : how many frames to go up from the first frame outside the module
+ * @returns the code location of the stack frame (see toCodeLocation())
+ */
+function getCallSiteOutsideModule(extraFrames) {
+    let callSites = captureCallSites(1, maxModuleFrames + extraFrames);
+    let frameNum = countFramesInFirstModule(callSites) + extraFrames;
+    return toCodeLocation(callSites[Math.min(frameNum, callSites.length - 1)]);
+}
+
+/**
+ * The tokens of format templates, and how each renders from the record of a diagnostic (see AppLogger.commonOut())
+ */
+import * as os from 'os';
+import { performance } from 'perf_hooks';
+const templateTokens = {
+    'iso': (r) => r.time,
+    'epoch': (r) => String(Date.parse(r.time)),
+    'elapsed': (r) => String(Math.round(Date.parse(r.time) - performance.timeOrigin)),
+    'pid': (r) => String(process.pid),
+    'host': (r) => os.hostname(),
+    'col': (r) => String(r.column ?? '?'),
+    'fn': (r) => r.function ?? '<anonymous>',
+    'c': (r) => r.component,
+    'l': (r) => r.level + (r.tag !== undefined ? '[' + r.tag + ']' : ''),
+    't': (r) => r.tag ?? '',
+    'f': (r) => r.file ?? '?',
+    'n': (r) => String(r.line ?? '?'),
+    'm': (r) => r.msg,
+    'x': (r) => r.context !== undefined ? ' ' + makeASCII(r.context) : '',
+    '%': (r) => '%',
+};
+var templateTokenMatcher = new RegExp('%(' + Object.keys(templateTokens).join('|') + ')', 'g');
+const compiledTemplates = new Map();
+
+/**
+ * Renders the record of a diagnostic using a format template (see AppLogger.formatRecord() for the tokens)
+ * @param {*} template - the format template, e.g. '%iso %c %l %f:%n %m'
+ * @param {*} record - the record of a diagnostic
+ * @returns the rendered string
+ */
+function formatTemplate(template, record) {
+    let render = compiledTemplates.get(template);
+    if (render === undefined) {
+        // split into literal text (even indices) and token names (odd indices)
+        let pieces = template.split(templateTokenMatcher);
+        render = (r) => pieces.map((x, i) => i % 2 ? templateTokens[x](r) : x).join('');
+        compiledTemplates.set(template, render);
+    }
+    return render(record);
 }
 
+/**
+ * How diagnostics are rendered, unless a format template is set, e.g. '%c: %l: %f:%n: %m%x' for loggers
+ * @param {*} prefix - what comes before the code location, e.g. '%c: %l: ' for loggers
+ * @param {*} settings - settings for rendering code locations (see toLocationSettings()), or null for none
+ * @returns the format template
+ */
+function defaultTemplate(prefix, settings) {
+    if (settings === null)
+        return prefix + '%m%x';
+    return prefix + '%f:%n' + (settings.column ? ':%col' : '') + (settings.function ? ' %fn()' : '') + ': %m%x';
+}
 
 /**
  * Add file and lineno info to msg.
@@ -116,28 +987,211 @@ export function makeASCII(s, canonical) {
  * 
  * Options object may contain:
  *   extraFrames:  how many extra frames to go up, when capturing file/lineno
+ *   location:  set false to skip capturing file/lineno, which is the expensive part, or an object with settings for
+ *     rendering it (see AppLogger's location option)
  */
-var indexMatcher = new RegExp(/^index\..?js/); // index.js doesn't tell us much about a module
 export function adorn(msg, ...moreMsg) {
     let options = getOptions(moreMsg);
     let extraFrames = options?.extraFrames ?? 0; // by default, we use calling stack frame
-    try {
-        throw new Error('My error');
-    } catch(ex) {
-        const frames = stackTraceParser.parse(ex.stack);
-        let callingFrameNum = 1 + extraFrames < frames.length ? 1 + extraFrames : frames.length - 1;
-        let callingFrame = frames[callingFrameNum];
-        let lineNo = callingFrame.lineNumber;
-        let callFile = callingFrame.file;
+    let record = {msg: joinParts(resolveParts([msg, ...moreMsg])).msg};
+    let settings = toLocationSettings(options.location);
+    if (settings !== null)
+        Object.assign(record, renderCodeLocation(getCallSite(1 + extraFrames), settings));
+    return formatTemplate(defaultTemplate('', settings), record);
+}
+
+/**
+ * Log levels, from most to least important; V1, V2, ... are ranked by their number, between INFO and DEBUG
+ */
+const levelRanks = {'ERROR': 0, 'WARN': 1, 'INFO': 2, 'DEBUG': Number.MAX_SAFE_INTEGER};
+var verboseLevelMatcher = new RegExp(/^V(\d+)$/);
+function levelRank(lvl) {
+    if (lvl in levelRanks)
+        return levelRanks[lvl];
+    let verboseLevel = verboseLevelMatcher.exec(lvl);
+    if (verboseLevel)
+        return levelRanks['INFO'] + Number(verboseLevel[1]);
+    throw new AppError("unknown log level: ", lvl);
+}
+
+/**
+ * @param {*} lvl - the level of a diagnostic being written
+ * @returns the rank of the level (see levelRank()); as commonOut() takes any string as the level, levels we don't
+ *   know (e.g. 'NOTICE') rank as INFO
+ */
+function messageRank(lvl) {
+    return lvl in levelRanks || verboseLevelMatcher.test(lvl) ? levelRank(lvl) : levelRanks['INFO'];
+}
+
+/**
+ * Debug tag patterns, e.g. 'db:*,-db:pool' (see AppLogger.setDebug() for the syntax)
+ */
+var debugPatternSeparator = new RegExp(/[\s,]+/);
+const compiledDebugPatterns = new Map();
+
+/**
+ * @param {*} patterns - a string with a list of debug tag patterns, e.g. 'db:*,-db:pool'
+ * @returns an array of the patterns
+ */
+function splitDebugPatterns(patterns) {
+    return patterns.toString().split(debugPatternSeparator).filter(x => x.length);
+}
 
-        let filePath = callFile.split('/');
-        callFile = filePath[filePath.length - 1].match(indexMatcher) ? filePath[filePath.length - 2] : filePath[filePath.length - 1];
+/**
+ * @param {*} pattern - a debug tag pattern, without any leading '-'
+ * @returns a RegExp matching the tags turned on by the pattern
+ */
+function compileDebugPattern(pattern) {
+    let regex = compiledDebugPatterns.get(pattern);
+    if (regex === undefined) {
+        let escaped = pattern.split('*').map(x => x.replace(/[.+?^${}()|[\]\\]/g, '\\$&')).join('.*');
+        regex = new RegExp('^' + escaped + '(:.*)?$');
+        compiledDebugPatterns.set(pattern, regex);
+    }
+    return regex;
+}
 
-        let pmsg = [msg, ...moreMsg].map(x => makeASCII(x));
-        return callFile + ':' + lineNo + ': ' + pmsg.join('');
+/**
+ * @param {*} patterns - an iterable of debug tag patterns
+ * @param {*} tag - a debug tag; '*' (or undefined) for untagged messages
+ * @returns true iff the patterns turn on the tag
+ */
+function isDebugTagOn(patterns, tag) {
+    if (tag === undefined || tag == '*') {
+        for (let pattern of patterns)
+            if (pattern == '*')
+                return true;
+        return false;
+    }
+    let on = false;
+    for (let pattern of patterns) {
+        if (pattern[0] == '-') {
+            if (compileDebugPattern(pattern.slice(1)).test(tag))
+                return false;
+        } else if (!on && compileDebugPattern(pattern).test(tag))
+            on = true;
     }
+    return on;
 }
 
+/**
+ * LogSink - a destination for the diagnostics of an AppLogger, with its own filters and formatting.
+ * 
+ * Add sinks to a logger with AppLogger.addSink(); a logger with sinks writes each diagnostic to every sink that
+ *   accepts it, instead of to its diagStream.
+ * 
+ * @param destination - where to write; one of:
+ *     - a writable stream (anything with a write() method), e.g. process.stderr
+ *     - a function, which is called with the formatted line and the record of the diagnostic
+ *     - an array, which collects the formatted lines (an in-memory buffer)
+ *     - a string, which is the path of a file to append to; if the file can't be written (e.g. its directory
+ *       doesn't exist), that is reported on stderr, and the sink is disabled (its error is set) rather than
+ *       crashing the program
+ * @param options - an object which may contain:
+ *     level : least important level written to this sink, e.g. 'WARN' writes ERROR and WARN [default: all levels]
+ *     tags : a debug tag pattern or list of patterns, e.g. 'db:*,-db:pool', accepted by this sink (see
+ *         AppLogger.setDebug()); untagged DEBUG diagnostics are only accepted with '*' [default: all]
+ *     format : 'text', 'json', a format template (see AppLogger.formatRecord()) or a function which takes the
+ *         record of a diagnostic (see AppLogger.commonOut()) and returns the line to write [default: the format
+ *         of the logger]
+ */
+import * as fs from 'fs';
+export class LogSink {
+    constructor(destination, options) {
+        if (options !== undefined && ! (options instanceof Object))
+            throw new AppError("options must be an object, but was ", typeof options);
+        if (isString(destination)) {
+            this.destination = fs.createWriteStream(destination.toString(), {flags: 'a'});
+            this.ownsDestination = true;
+            this.destination.on('error', (err) => {
+                if (this.error === undefined)
+                    process.stderr.write("apperror_js: disabled LogSink for " + destination + ": " + err.message + "\n");
+                this.error = err;
+            });
+        } else if (Array.isArray(destination) || typeof destination == 'function' ||
+                   typeof destination?.write == 'function')
+            this.destination = destination;
+        else
+            throw new AppError("LogSink destination must be a stream, function, array or file path, but was ",
+                               typeof destination);
+        this.level = options?.level;
+        if (this.level !== undefined)
+            levelRank(this.level); // validate early
+        let tags = options?.tags;
+        this.tags = tags === undefined ? undefined : new Set(isString(tags) ? splitDebugPatterns(tags) : tags);
+        this.format = options?.format;
+    }
+
+    /**
+     * @param {*} record - the record of a diagnostic (see AppLogger.commonOut())
+     * @returns true iff this sink's filters let the diagnostic through
+     */
+    accepts(record) {
+        if (this.level !== undefined && messageRank(record.level) > levelRank(this.level))
+            return false;
+        if (this.tags !== undefined && record.level == 'DEBUG')
+            return isDebugTagOn(this.tags, record.tag);
+        return true;
+    }
+
+    /**
+     * Formats the diagnostic and writes it to the destination.
+     * @param {*} record - the record of a diagnostic (see AppLogger.commonOut())
+     * @param {*} logger - the AppLogger writing the diagnostic, which formats it if this sink has no format
+     */
+    write(record, logger) {
+        if (this.error !== undefined)
+            return; // the file couldn't be written
+        let line = typeof this.format == 'function' ? this.format(record) : logger.formatRecord(record, this.format);
+        if (Array.isArray(this.destination))
+            this.destination.push(line);
+        else if (typeof this.destination == 'function')
+            this.destination(line, record);
+        else
+            this.destination.write(line + "\n");
+    }
+
+    /**
+     * Closes the destination, if this sink opened it (i.e. it was given a file path).
+     */
+    close() {
+        if (this.ownsDestination)
+            this.destination.end();
+    }
+}
+
+/**
+ * Ambient context: key/value pairs (e.g. a trace id) that follow the flow of execution, including through
+ *   callbacks and awaits, so they can be added to diagnostics without passing loggers around.
+ *   See AppLogger.runWithContext().
+ */
+import { AsyncLocalStorage } from 'async_hooks';
+const ambientContext = new AsyncLocalStorage();
+
+/**
+ * @returns the ambient context object, which is empty outside of runWithContext()
+ */
+function getAmbientContext() {
+    return ambientContext.getStore() ?? {};
+}
+
+/**
+ * Runs fn with the given context added to the ambient context.
+ * @returns whatever fn returns
+ */
+function runWithAmbientContext(context, fn, ...args) {
+    return ambientContext.run({...getAmbientContext(), ...context}, fn, ...args);
+}
+
+/** how long a flood of messages throttled with the 'every' option must stop, before its summary is written */
+const throttleQuietMs = 1000;
+
+/** throttle keys kept by a logger, beyond which the suppressed messages are summarized and the keys forgotten */
+const maxThrottleKeys = 10000;
+
+/** A file destination for diagnostics that rotates by size or calendar interval (see rotating-file-stream.js) */
+export { RotatingFileStream } from './rotating-file-stream.js';
+
 /**
  * Encapsulates some convenience functions for error-logging
  * 
@@ -146,11 +1200,41 @@ export function adorn(msg, ...moreMsg) {
  *     verbose : a number, 1+ turns on extra logging, and 0 for no extra logging; if using verbosity-based logging,
  *         this must be set or logging functions will throw error to remind you to set it
  *     debug : set to a string or list of strings to turn on named diagnostic streams or set to '*' or true to
- *         turn on all named log streams
-
+ *         turn on all named log streams (see setDebug() for the syntax); if not set, it is taken from the DEBUG
+ *         environment variable
+ *     json : if true, each diagnostic is written as a single-line JSON record (NDJSON) instead of
+ *         'component: LEVEL: file:line: msg'; see commonOut() for the fields of the record
+ *     sinks : a list of LogSink objects to write to, instead of diagStream (see addSink())
+ *     context : an object of key/value pairs (e.g. a request id) appended to every diagnostic (see child() and
+ *         runWithContext())
+ *     format : a format template for the diagnostics, e.g. '%iso %c %l %f:%n %m' (see formatRecord())
+ *         [default: '%c: %l: %f:%n: %m%x']
+ *     location : set false to skip capturing the code location (file:line) of diagnostics, e.g. for hot paths;
+ *         capturing it is the most expensive part of logging [default: true]
+ *         It can also be an object with settings for rendering the code location:
+ *             mode : 'basename' (file name, or directory name for index.js), 'relative' (path relative to root),
+ *                 or 'full' (full path) [default: 'basename']
+ *             root : directory for 'relative' mode [default: nearest directory with a package.json, at or above
+ *                 the current directory]
+ *             column : if true, the column is shown after the line [default: false]
+ *             function : if true, the function name is shown after the line, e.g. 'file.js:12 main()'
+ *                 [default: false]
+ *     level : the least important level to log (see setLevel()); if not set, it is taken from the LOG_LEVEL
+ *         environment variable (unknown levels there are ignored), and if that is not set, info(), warn(),
+ *         error() and debug() always log; verbosity set with the verbose option or the VERBOSE environment
+ *         variable wins over the one implied by the level
+ *     env : set false to ignore the DEBUG, VERBOSE and LOG_LEVEL environment variables, e.g. for a library's own
+ *         logger, which shouldn't turn chatty when the application is debugged [default: true]
  */
 import * as process from 'process';
 export class AppLogger {
+    /** throttled messages, by throttle key (see throttle()) */
+    #throttles = new Map();
+    /** the logger this one is a child of, if any (see child()) */
+    #parent;
+    /** the settings that are inherited from the parent until they are set on this logger */
+    #settings = {};
+
     constructor(componentName, options) {
         if (options !== undefined && ! (options instanceof Object))
             throw new AppError("options must be an object, but was ", typeof options);
@@ -158,16 +1242,119 @@ export class AppLogger {
             throw new AppError("only two arguments accepted by AppLogger constructor");
         this.component = makeASCII(componentName);
         this.debugTags = new Set();
-        let debug = options?.debug??false;
-        let verbose = options?.verbose??process.env.VERBOSE; // defaults to undefined
+        let env = options?.env ?? true;
+        let debug = options?.debug??(env ? process.env.DEBUG : undefined)??false;
+        let verbose = options?.verbose??(env ? process.env.VERBOSE : undefined); // defaults to undefined
         if (typeof debug == 'boolean' && debug)
             this.debugTags.add('*');
+        else if (isString(debug))
+            splitDebugPatterns(debug).forEach(x => this.debugTags.add(x));
+        else if (Array.isArray(debug))
+            debug.forEach(x => this.debugTags.add(x));
         // diagnostic stream -- where to write messages
         this.diagStream = process.stderr;
+        // if true, write NDJSON records instead of text lines
+        this.json = options?.json ?? false;
+        // if any, diagnostics go to these LogSinks instead of diagStream
+        this.sinks = [...(options?.sinks ?? [])];
+        // key/value pairs appended to every diagnostic
+        this.context = {...(options?.context ?? {})};
+        // format template for text mode; undefined means the default format
+        this.format = options?.format;
+        // whether to capture the code location of diagnostics, or settings for rendering it
+        this.location = options?.location ?? true;
+        toLocationSettings(this.location); // validate early
         // may need something with acquire() and release() to keep output from
         //   garbling; omit this for now
         // this.lock = undefined
         this.verbose = verbose;
+        // least important level to log; undefined means no filtering by level
+        this.level = undefined;
+        if (options?.level !== undefined)
+            this.setLevel(options.level);
+        else if (env && process.env.LOG_LEVEL) {
+            try {
+                this.setLevel(process.env.LOG_LEVEL);
+            } catch {
+                // LOG_LEVEL may be meant for other tools, with levels we don't know, e.g. 'trace'
+            }
+        }
+        if (this.level !== undefined && verbose !== undefined)
+            this.verbose = verbose; // explicit verbosity (option or VERBOSE) wins over the one implied by the level
+    }
+
+    /**
+     * Creates a logger for part of this logger's component, e.g. logger 'demo' has child 'demo/db'.
+     * 
+     * The child uses this logger's level, verbosity, debug tags, diagStream and sinks until they are set on the
+     *   child, so later changes to this logger (e.g. setFromArgs()) apply to the child too; it starts with this
+     *   logger's json mode, format and location capture, and adds the given context to this logger's context.
+     *   Changing the child doesn't change this logger.
+     * 
+     * @param {*} subComponent - name of the part of the component, appended to this logger's component name
+     * @param {*} context - optional object of key/value pairs (e.g. {requestId: 42}) appended to every diagnostic
+     *   written by the child
+     * @returns the child AppLogger
+     */
+    child(subComponent, context) {
+        let child = new AppLogger(this.component + '/' + makeASCII(subComponent),
+                                  {json: this.json, context: {...this.context, ...context},
+                                   format: this.format, location: this.location, env: false});
+        child.#parent = this;
+        child.#settings = {};
+        return child;
+    }
+
+    /**
+     * @param {*} name - name of a setting that a child reads from its parent until it's set on the child
+     * @returns the value of the setting
+     */
+    #setting(name) {
+        return name in this.#settings || this.#parent === undefined ? this.#settings[name] : this.#parent[name];
+    }
+
+    /** verbosity level, typically between 0-3; undefined if not set */
+    get verbose() { return this.#setting('verbose'); }
+    set verbose(val) { this.#settings.verbose = val; }
+
+    /** least important level to log; undefined means no filtering by level */
+    get level() { return this.#setting('level'); }
+    set level(lvl) { this.#settings.level = lvl; }
+
+    /** the set of debug tag patterns that are on (see setDebug()); replace it rather than changing it in place,
+     *    since a child may be sharing its parent's */
+    get debugTags() { return this.#setting('debugTags'); }
+    set debugTags(tags) { this.#settings.debugTags = tags; }
+
+    /** diagnostic stream -- where to write messages */
+    get diagStream() { return this.#setting('diagStream'); }
+    set diagStream(stream) { this.#settings.diagStream = stream; }
+
+    /** if any, diagnostics go to these LogSinks instead of diagStream; replace the list rather than changing it
+     *    in place, since a child may be sharing its parent's */
+    get sinks() { return this.#setting('sinks'); }
+    set sinks(sinks) { this.#settings.sinks = sinks; }
+
+    /**
+     * Runs a function with an ambient context, i.e. key/value pairs (e.g. {traceId: 'abc'}) which are added to
+     *   every diagnostic written by any AppLogger, and every diagnostic added to any AppStatus, while the function
+     *   runs, including in any callbacks or async code it starts.  Calls can be nested; the inner context
+     *   adds to the outer context.
+     * 
+     * @param {*} context - object of key/value pairs
+     * @param {*} fn - the function to run; may be async
+     * @param  {...any} args - arguments to pass to fn
+     * @returns whatever fn returns (e.g. a promise, if fn is async)
+     */
+    static runWithContext(context, fn, ...args) {
+        return runWithAmbientContext(context, fn, ...args);
+    }
+
+    /**
+     * @returns the ambient context set by runWithContext() for the code that is running, or an empty object
+     */
+    static getContext() {
+        return getAmbientContext();
     }
 
     /** for folks who prefer the Java bean style setter
@@ -185,26 +1372,76 @@ export class AppLogger {
         return this.verbose;
     }
 
+    /**
+     * Sets the least important level to log, in the order ERROR, WARN, INFO, V1, V2, V3, DEBUG; e.g. 'WARN' only
+     *   logs errors and warnings (even from info() and debug()), and 'ERROR' is good for a quiet mode.
+     * 
+     * Also sets verbosity to match the level: 1-3 for V1-V3, 3 for DEBUG, else 0.  DEBUG also turns on all
+     *   debug tags, unless some are already on.
+     * 
+     * @param {*} lvl - name of the level, in any case, e.g. 'warn'
+     * @returns the AppLogger (for chaining)
+     */
+    setLevel(lvl) {
+        lvl = makeASCII(lvl).toUpperCase();
+        levelRank(lvl); // throws for unknown levels
+        this.level = lvl;
+        if (lvl == 'DEBUG') {
+            this.verbose = 3;
+            if (! this.debugTags.size)
+                this.debugTags = new Set(['*']);
+        } else
+            this.verbose = Math.max(0, levelRank(lvl) - levelRank('INFO'));
+        return this;
+    }
+
+    /**
+     * @returns the least important level to log, or undefined if there is no filtering by level
+     */
+    getLevel() {
+        return this.level;
+    }
+
+    /**
+     * @param {*} lvl - name of a level, e.g. 'INFO'
+     * @returns true iff diagnostics at that level are logged, given the level and verbosity of this logger
+     */
+    isLevelEnabled(lvl) {
+        let rank = levelRank(makeASCII(lvl).toUpperCase());
+        if (this.level !== undefined && rank > levelRank(this.level))
+            return false;
+        if (rank > levelRank('INFO') && rank < levelRank('DEBUG'))
+            return (this.verbose ?? 0) >= rank - levelRank('INFO');
+        return true;
+    }
+
     /**
      * Turns on debugging, which is similar to verbose, but a different channel of logs.
      * This channel can have sub-channels which are named, so you can turn on debugging for a
      *   certain module or class of functions as desired.
      * 
+     * Tags use the syntax of the DEBUG environment variable of the 'debug' package:
+     *   - tags are namespaced with ':', e.g. 'db:query'; a tag also turns on the tags under it, e.g. 'db'
+     *     turns on 'db:query' and 'db:pool'
+     *   - '*' is a wildcard, e.g. 'db:*'; '*' alone turns on all tags, and also untagged messages
+     *   - a leading '-' turns a tag off, e.g. 'db:*,-db:pool', which wins over patterns that turn it on
+     * 
      * @param {*} tagsOrBool : default true; if true, turns on all debug-level logs; if a list of
-     *   strings, turns on corresponding debug channels.
+     *   strings, turns on corresponding debug channels; a string can hold several patterns, separated
+     *   by commas or spaces.
      */
     setDebug(tagsOrBool=true) {
+        this.debugTags = new Set(tagsOrBool === false ? [] : this.debugTags); // a child's own copy of the tags
         if (tagsOrBool === true)
             tagsOrBool = ['*'];
-        else if (tagsOrBool === false) {
-            this.debugTags.clear();
+        else if (tagsOrBool === false)
             tagsOrBool = [];
-        } else if (isString(tagsOrBool))
-            tagsOrBool = [tagsOrBool];
+        else if (isString(tagsOrBool))
+            tagsOrBool = splitDebugPatterns(tagsOrBool);
         try {
             for (let tag of tagsOrBool) {
                 this.debugTags.add(tag);
-                this.info(tag + " debugging enabled",
+                this.info(tag[0] == '-' ? tag.slice(1) + " debugging disabled" : tag + " debugging enabled",
                         new Options({"extraFrames": numFramesInThisModule()}));
             }
         } catch (e) {
@@ -215,12 +1452,12 @@ export class AppLogger {
     /**
      * Returns true if debugging is on
      * 
-     * @param {*} tag : check only for the given tag
+     * @param {*} tag : check only for the given tag, e.g. 'db:query'; '*' checks for untagged messages
      */
     isSetDebug(tag=null) {
         if (tag !== null)
-            return tag in this.debugTags;
-        return !this.debugTags.isEmpty();
+            return isDebugTagOn(this.debugTags, tag);
+        return Array.from(this.debugTags).some(x => x[0] != '-');
     }
 
     /**
@@ -229,10 +1466,19 @@ export class AppLogger {
      * - an object with attributes 'verbose' and 'debug'
      * Value of debug can be a comma-seperated list of channel names to enable debugging for,
      *   or they can be passed as separate options
+     * The log level (see setLevel()) can also be set with '--log-level' / 'logLevel', and '--quiet' / 'quiet' sets
+     *   it to ERROR; these override the verbosity.
     */
     setFromArgs(args) {
         let verbose = args['verbose'] ?? args['--verbose'] ?? (typeof args.get == 'function' ? args.get('--verbose') : 0);
         this.verbose = (typeof verbose == 'object' ? verbose.length : verbose) ?? verbose | 0; // convert to number
+
+        let level = args['logLevel'] ?? args['--log-level'] ?? (typeof args.get == 'function' ? args.get('--log-level') : undefined);
+        let quiet = args['quiet'] ?? args['--quiet'] ?? (typeof args.get == 'function' ? args.get('--quiet') : false);
+        if (quiet)
+            this.setLevel('ERROR');
+        else if (level !== undefined && level !== null)
+            this.setLevel(level);
     
         let debug = args['debug'] ?? args['--debug'] ?? (typeof args.get == 'function' ? args.get('--debug') : false);
         
@@ -249,35 +1495,210 @@ export class AppLogger {
         this.setDebug(debugTags);
     }
 
+    /**
+     * Adds a destination for diagnostics.  Once a logger has sinks, it writes to them instead of to diagStream, so
+     *   add process.stderr as a sink too if you want to keep writing there.
+     * @param {*} sinkOrDestination - a LogSink, or a destination to create a LogSink with (see LogSink)
+     * @param {*} options - options for creating the LogSink (see LogSink)
+     * @returns the LogSink
+     */
+    addSink(sinkOrDestination, options) {
+        let sink = sinkOrDestination instanceof LogSink ? sinkOrDestination : new LogSink(sinkOrDestination, options);
+        this.sinks = [...this.sinks, sink];
+        return sink;
+    }
+
+    /**
+     * Stops writing to the given sink.
+     * @param {*} sink - a LogSink returned from addSink()
+     * @returns the AppLogger (for chaining)
+     */
+    removeSink(sink) {
+        this.sinks = this.sinks.filter(x => x !== sink);
+        return this;
+    }
+
+    /**
+     * Turns the record of a diagnostic into the line that is written for it.
+     * 
+     * A format template is a string with tokens that are replaced by fields of the record:
+     *   %iso, %epoch, %elapsed : time of the diagnostic, in ISO 8601, in ms since 1970, or in ms since the process
+     *     started
+     *   %pid, %host : process id and host name
+     *   %c : component name
+     *   %l : level, followed by the debug tag, if any, e.g. DEBUG[db]
+     *   %t : debug tag
+     *   %f, %n, %col, %fn : file, line, column and function name of the code location
+     *   %m : the message
+     *   %x : the context (key/value pairs) preceded by a space, if there is any context
+     *   %% : a literal %
+     * 
+     * @param {*} record - the record of a diagnostic (see commonOut())
+     * @param {*} format - 'json', 'text' (this logger's format template) or a format template
+     *   [default: 'json' if this logger is in json mode, else 'text']
+     * @returns the formatted line
+     */
+    formatRecord(record, format) {
+        format = format ?? (this.json ? 'json' : 'text');
+        if (format == 'json')
+            return JSON.stringify(jsonRecord(record));
+        if (format == 'text')
+            format = this.format ??
+                defaultTemplate('%c: %l: ', record.line === undefined ? null : toLocationSettings(this.location));
+        return formatTemplate(format, record);
+    }
+
     /**
      * Used to write diagnostic message at given log level.
      * 
+     * Each diagnostic becomes a record with these fields:
+     *   time (ISO 8601), component, level, tag (debug tag, if any), file, line, column, function (if known, and
+     *   unless location capture is off),
+     *   msg (the message parts joined into one string, as in text mode), parts (the message parts, or just msg
+     *   if a secret split across them was redacted), context (the ambient context combined with the logger's
+     *   context, if any)
+     * In json mode, the parts are converted to JSON values.
+     * 
      * @param {*} lvl - any string to indicate log level, e.g. 'INFO', 'WARN', 'ERROR', 'DEBUG', 'V1", etc.
-     * @param {*} msg - first component of a message to write
-     * @param  {...any} moreMsg - more components of the message; the last item may be an options object with
+     * @param {*} msg - first component of a message to write; can be an ErrorCode, followed by an object with the
+     *    parameters of its message template (see ErrorCode)
+     * @param  {...any} moreMsg - more components of the message; components can be lazy (see lazy()), or
+     *    functions, which are only called when the message is written; the last item may be an options object with
      *    fields:
      *       * extraFrames:  a positive integer indicating how many stack frames to
      *           go up before reporting the code location of this diagnostic [default: 0]
      *       * asString:  set true if you want a string back instead of printing to
-     *           this.diagStream
-     * @returns the diagnostic string if 'asString' set, else the AppLogger
+     *           this.diagStream; in json mode, you get the record object back instead
+     *       * tag:  the debug tag of the message, shown next to the level, e.g. DEBUG[tag]
+     *       * location:  set false to skip capturing the code location [default: true, unless this.location is
+     *           false]
+     *       * cause:  the error that caused this one; its chain of causes is added to the message
+     *       * callSite:  the code location to report instead of capturing it, an object with file, line, column and
+     *           function, e.g. a Diagnostic of a status object (see AppStatus.log())
+     *       * every:  only write every Nth of the messages from the same call site, e.g. 100 writes the 1st, the
+     *           101st, and so on; once they stop for a second, a line like '(suppressed 4312 similar messages)' is
+     *           written
+     *       * throttleMs:  write at most one of the messages from the same call site per this many milliseconds;
+     *           at the end of each period in which messages were suppressed, a summary line is written
+     *       * throttleKey:  what makes messages "the same" for every and throttleMs: 'site' (the call site and
+     *           level), 'message' (the message and level), or any other string, for messages throttled together
+     *           [default: 'site', or 'message' if location capture is off]
+     *    Unless 'asString' is set, nothing is written if the level is less important than the logger's level.
+     * @returns the diagnostic string (or record in json mode) if 'asString' set, else the AppLogger
      */
     commonOut(lvl, msg, ...moreMsg) {
         let options = getOptions(moreMsg);
         let extraFrames = (options?.extraFrames ?? 0) + 2 /* get above commonOut() and error()/warn()/etc */;
         let asString = options?.asString ?? false;
-        let formatted = this.component + ": " + lvl + ": " +
-            adorn(msg, ...moreMsg, new Options({"extraFrames": extraFrames}));
+        if (!asString && this.level !== undefined && messageRank(lvl) > levelRank(this.level))
+            return;
+        let {code, parts} = expandErrorCode(resolveParts([msg, ...moreMsg]));
+        let record = {time: new Date().toISOString(), component: this.component, level: lvl};
+        if (options.tag !== undefined && options.tag != '*')
+            record.tag = options.tag;
+        if (code !== undefined)
+            record.code = code;
+        let settings = options.location === false ? null : toLocationSettings(this.location);
+        if (options.callSite !== undefined) {
+            let site = options.callSite;
+            if (settings !== null && site.line !== undefined)
+                Object.assign(record, {file: site.file, line: site.line, column: site.column, function: site.function});
+        } else if (settings !== null)
+            Object.assign(record, renderCodeLocation(getCallSite(extraFrames), settings));
+        Object.assign(record, joinParts(parts));
+        if (options.cause !== undefined) {
+            record.msg += escapeText(describeCause(options.cause));
+            record.cause = options.cause;
+        }
+        let context = {...getAmbientContext(), ...this.context};
+        if (Object.keys(context).length)
+            record.context = context;
         if (asString)
-            return formatted;
-        else {
-            /* if self.lock is not None:
-                self.lock.acquire() */
-            this.diagStream.write(formatted + "\n");
-            /*
-            if self.lock is not None:
-                self.lock.release() */
+            return this.json ? jsonRecord(record) : this.formatRecord(record);
+        if ((options.every !== undefined || options.throttleMs !== undefined) && this.#throttle(record, options))
+            return;
+        /* if self.lock is not None:
+            self.lock.acquire() */
+        if (this.sinks.length) {
+            for (let sink of this.sinks)
+                if (sink.accepts(record))
+                    sink.write(record, this);
+        } else
+            this.diagStream.write(this.formatRecord(record) + "\n");
+        /*
+        if self.lock is not None:
+            self.lock.release() */
+    }
+
+    /**
+     * Rate-limits a message (see the 'every' and 'throttleMs' options of commonOut())
+     * @param {*} record - the record of the message
+     * @param {*} options - the Options of the message
+     * @returns true iff the message is to be suppressed
+     */
+    #throttle(record, options) {
+        let every = options.every;
+        let throttleMs = options.throttleMs;
+        if (every !== undefined && !(Number.isInteger(every) && every > 0))
+            throw new TypeError("every must be a positive integer, but is " + makeASCII(every));
+        if (throttleMs !== undefined && !(typeof throttleMs == 'number' && throttleMs > 0))
+            throw new TypeError("throttleMs must be a positive number, but is " + makeASCII(throttleMs));
+        let by = options.throttleKey ?? 'site';
+        let key = by == 'site' && record.line !== undefined ? record.level + ' ' + record.file + ':' + record.line + ':' + record.column
+                : by == 'site' || by == 'message' ? record.level + ' ' + record.msg
+                : by;
+        let state = this.#throttles.get(key);
+        if (state === undefined) {
+            if (this.#throttles.size >= maxThrottleKeys)
+                this.flushSuppressed();
+            state = {level: record.level, callSite: {file: record.file, line: record.line, column: record.column,
+                     function: record.function}, count: 0, suppressed: 0, periodStart: undefined, timer: undefined};
+            this.#throttles.set(key, state);
+        }
+        state.count++;
+        let now = Date.now();
+        let sampled = every === undefined || (state.count - 1) % every == 0;
+        let inPeriod = throttleMs !== undefined && state.periodStart !== undefined && now - state.periodStart < throttleMs;
+        if (sampled && !inPeriod) {
+            if (throttleMs !== undefined)
+                state.periodStart = now;
+            return false;
         }
+        state.suppressed++;
+        if (state.timer === undefined) {
+            state.timer = setTimeout(() => this.#writeSuppressed(key),
+                                     throttleMs !== undefined ? state.periodStart + throttleMs - now : throttleQuietMs);
+            state.timer.unref?.();
+        } else if (throttleMs === undefined)
+            state.timer.refresh?.();
+        return true;
+    }
+
+    /**
+     * Writes the summary line of the messages suppressed for a throttle key (if any), and forgets the key
+     * @param {*} key - the throttle key
+     */
+    #writeSuppressed(key) {
+        let state = this.#throttles.get(key);
+        if (state === undefined)
+            return;
+        clearTimeout(state.timer);
+        this.#throttles.delete(key);
+        if (state.suppressed > 0)
+            this.commonOut(state.level, "(suppressed ", state.suppressed, " similar message", state.suppressed > 1 ? "s" : "",
+                           ")", new Options({callSite: state.callSite}));
+    }
+
+    /**
+     * Writes the summary lines of all messages suppressed by rate-limiting so far (see the 'every' and
+     *   'throttleMs' options of commonOut()), e.g. before the program exits, rather than waiting for the floods of
+     *   messages to end.
+     * @returns the AppLogger
+     */
+    flushSuppressed() {
+        for (let key of Array.from(this.#throttles.keys()))
+            this.#writeSuppressed(key);
+        return this;
     }
 
     /**
@@ -297,9 +1718,11 @@ export class AppLogger {
      * Can be called like
      *   ifDebug(msg)
      * or with any or all log options:
-     *   ifDebug(msg, new Options({"tag": "mytag",  // select only certain tagged messages
+     *   ifDebug(msg, new Options({"tag": "mytag",  // select only certain tagged messages (see setDebug())
      *                             "extraFrames": 1,
      *                             "asString": true}))
+     * Expensive parts of the message can be passed as functions, which are only called if debugging is on:
+     *   ifDebug("state: ", () => expensiveDump())
      */
     ifDebug(msg, ...moreMsg) {
         let options = getOptions(moreMsg);
@@ -311,12 +1734,9 @@ export class AppLogger {
             }
         }
         //this.debug('tag: ', tag, '; debugTags: ', this.debugTags);
-        if (this.debugTags.has(tag) || this.debugTags.has('*')) {
+        if (isDebugTagOn(this.debugTags, tag)) {
             //options.extraFrames = 1;
-            let tagAdorn = '';
-            if (tag != '*')
-                tagAdorn = '[' + tag + ']';
-            this.commonOut('DEBUG' + tagAdorn, msg, ...moreMsg, options);
+            this.commonOut('DEBUG', ...thunksToLazy([msg, ...moreMsg]), options);
         }
     }
     
@@ -331,7 +1751,7 @@ export class AppLogger {
      */
     v1(msg, ...moreMsg) {
         if (this.getVerbose() > 0)
-            this.commonOut('V1', msg, ...moreMsg);
+            this.commonOut('V1', ...thunksToLazy([msg, ...moreMsg]));
     }
 
     /**
@@ -345,7 +1765,7 @@ export class AppLogger {
      */
     v2(msg, ...moreMsg) {
         if (this.getVerbose() >= 2)
-            this.commonOut('V2', msg, ...moreMsg);
+            this.commonOut('V2', ...thunksToLazy([msg, ...moreMsg]));
     }
 
     /**
@@ -359,7 +1779,7 @@ export class AppLogger {
      */
     v3(msg, ...moreMsg) {
         if (this.getVerbose() >= 3)
-            this.commonOut('V3', msg, ...moreMsg);
+            this.commonOut('V3', ...thunksToLazy([msg, ...moreMsg]));
     }
 
     /**
@@ -378,64 +1798,268 @@ export class AppLogger {
         let lvl = options.level ?? 1;
         l.ifDebug("lvl: ", lvl, "; this.verbose: ", this.verbose);
         if (lvl <= this.verbose)
-            this.commonOut('V' + lvl, msg, ...moreMsg, options);
+            this.commonOut('V' + lvl, ...thunksToLazy([msg, ...moreMsg]), options);
+    }
+
+    /**
+     * This function always writes a message prepended by DEBUG (use ifdebug() for conditional logging)
+     * @param {*} msg : message to log
+     * @param  {...any} moreMsg last part can be Options object which may contain:
+     *   extraFrames:  a positive integer indicating how many stack frames to
+     *     go up before reporting the code location of this diagnostic [default: 0]
+     *   asString [default: false]:  set true if you want a string back instead of 
+     *     printing to this.diagStream
+     *   
+     */
+    debug(msg, ...moreMsg) {
+        return this.commonOut('DEBUG', msg, ...moreMsg);
+    }
+
+    /**
+     * Final argument can be options object with these keys:
+     * extraFrames:  a positive integer indicating how many stack frames to
+     *   go up before reporting the code location of this diagnostic [default: 0]
+     * asString:  set true if you want a string back instead of printing to
+     *   this.diagStream
+     * */
+    info(msg, ...moreMsg) {
+        return this.commonOut('INFO', msg, ...moreMsg);
+    }
+
+    /**
+     * Final argument can be options object with these keys:
+     * extraFrames:  a positive integer indicating how many stack frames to
+     *   go up before reporting the code location of this diagnostic [default: 0]
+     * asString:  set true if you want a string back instead of printing to
+     *   this.diagStream
+     * */
+    warn(msg, ...moreMsg) {
+        return this.commonOut('WARN', msg, ...moreMsg);
+    }
+
+    /**
+     * Final argument can be options object with these keys:
+     * extraFrames:  a positive integer indicating how many stack frames to
+     *   go up before reporting the code location of this diagnostic [default: 0]
+     * asString:  set true if you want a string back instead of printing to
+     *   this.diagStream
+     * */
+    error(msg, ...moreMsg) {
+        return this.commonOut(msg instanceof ErrorCode ? msg.severity : 'ERROR', msg, ...moreMsg);
+    }
+    err(msg, ...moreMsg) {
+        return this.commonOut(msg instanceof ErrorCode ? msg.severity : 'ERROR', msg, ...moreMsg);
+    }
+}
+
+/** A logger, pre-declared for use throughout this class to enable internal logging
+ * - very meta and eating our own dogfood */
+ var l = new AppLogger("apperror_js", {env: false});
+
+/**
+ * ErrorCode - a stable code for an error (e.g. 'E_DB_TIMEOUT'), with its message template, severity, category
+ *   and suggested exit and HTTP status, so consumers can branch on err.code rather than matching message text.
+ *   Define them with defineErrorCodes(), and pass them as the message, followed by the template parameters, e.g.
+ *     new AppError(codes.DB_TIMEOUT, {host: 'db1'})
+ *     status.addError(codes.DB_TIMEOUT, {host: 'db1'}, "; retried ", retries, " times")
+ *     logger.error(codes.DB_TIMEOUT, {host: 'db1'})
+ * @param code - the code, e.g. 'E_DB_TIMEOUT'
+ * @param definition - an object which may contain:
+ *     message : message template, where {name} is replaced by the parameter 'name' [default: the code]
+ *     severity : 'ERROR' or 'WARN'; AppStatus.addError() adds an error with a 'WARN' code as a warning, and
+ *       AppLogger.error() logs it as a warning (new AppStatus() and new AppError() still make it an error)
+ *       [default: 'ERROR']
+ *     category : a category for grouping codes, e.g. 'database'
+ *     exitCode : suggested exit status of the program [default: 1]
+ *     httpStatus : suggested HTTP status of a response [default: 500]
+ */
+export class ErrorCode {
+    constructor(code, definition) {
+        this.code = code;
+        this.message = definition?.message ?? code;
+        this.severity = definition?.severity ?? 'ERROR';
+        if (! errorSeverities.includes(this.severity))
+            throw new TypeError("severity of " + code + " must be one of " + errorSeverities.join(', ') + ", but was " +
+                                this.severity);
+        this.category = definition?.category;
+        this.exitCode = definition?.exitCode ?? 1;
+        this.httpStatus = definition?.httpStatus ?? 500;
+    }
+
+    /**
+     * @param {*} params - the values for the parameters in the message template
+     * @returns the message, with the code in front, e.g. 'E_DB_TIMEOUT: database db1 timed out'; parameters
+     *   without a value are left as they are
+     */
+    format(params) {
+        return this.code + ': ' + this.message.replace(templateParamMatcher,
+            (match, name) => params !== undefined && name in params ? makeASCII(params[name]) : match);
+    }
+
+    toString() {
+        return this.code;
+    }
+}
+
+var templateParamMatcher = new RegExp(/\{(\w+)\}/g);
+const errorSeverities = ['ERROR', 'WARN'];
+
+/** the ErrorCodes defined by defineErrorCodes(), by code */
+const errorCodes = new Map();
+
+/**
+ * Defines error codes in the central catalog, e.g.
+ *   export const codes = defineErrorCodes({
+ *       DB_TIMEOUT: {message: "database {host} timed out", category: 'database', exitCode: 75, httpStatus: 504},
+ *   });
+ * @param {*} definitions - ErrorCode definitions (see ErrorCode) by name; the code is the 'code' of the
+ *   definition, or else the name with 'E_' in front
+ * @returns a frozen object with the ErrorCodes by name
+ */
+export function defineErrorCodes(definitions) {
+    let codes = {};
+    for (let [name, definition] of Object.entries(definitions)) {
+        let errorCode = new ErrorCode(definition?.code ?? 'E_' + name, definition);
+        let existing = errorCodes.get(errorCode.code);
+        if (existing !== undefined && JSON.stringify(existing) != JSON.stringify(errorCode))
+            throw new Error("Error code " + errorCode.code + " is already defined differently");
+        errorCodes.set(errorCode.code, existing ?? errorCode);
+        codes[name] = existing ?? errorCode;
+    }
+    return Object.freeze(codes);
+}
+
+/**
+ * @param {*} code - an error code, e.g. 'E_DB_TIMEOUT'
+ * @returns the ErrorCode defined for it by defineErrorCodes(), or undefined
+ */
+export function getErrorCode(code) {
+    return errorCodes.get(code?.toString());
+}
+
+/**
+ * Renders a message that starts with an ErrorCode: the code's message template, filled in with the parameters
+ *   which follow it (if the next part is a plain object)
+ * @param {*} parts - the message parts (resolved)
+ * @returns {code, parts}, with the code (a string) if the message starts with an ErrorCode, and the parts with
+ *   the code and parameters replaced by the rendered message
+ */
+function expandErrorCode(parts) {
+    if (! (parts[0] instanceof ErrorCode))
+        return {code: undefined, parts: parts};
+    let params = parts[1] !== null && typeof parts[1] == 'object' && Object.getPrototypeOf(parts[1]) === Object.prototype
+               ? parts[1] : undefined;
+    return {code: parts[0].code, parts: [parts[0].format(params), ...parts.slice(params === undefined ? 1 : 2)]};
+}
+
+/**
+ * Diagnostic - a message added to a status object, as returned by AppStatus.getDiagnostics().  It is a String with
+ *   the rendered text (the string in the errors, warnings or _info of the status object), and it keeps the record
+ *   the text was rendered from: level, debug tag (tag), time, file, line, column, function, the original message
+ *   parts (parts), and the error code (code, see ErrorCode), the error that caused it (cause) and the ambient
+ *   context (context), if any.
+ * A deduplicated Diagnostic also has the number of messages it stands for (count), and where the first and the
+ *   last of them were added (firstSeen and lastSeen, see AppStatus.dedup()).
+ * Compare with == or use toString() (or text), since === compares String objects by identity.
+ * @param text - the rendered text of the message
+ * @param record - the record of the message (see AppLogger.commonOut())
+ */
+export class Diagnostic extends String {
+    constructor(text, record) {
+        super(text);
+        this.level = record?.level;
+        if (record?.tag !== undefined)
+            this.tag = record.tag;
+        this.time = record?.time;
+        this.file = record?.file;
+        this.line = record?.line;
+        this.column = record?.column;
+        this.function = record?.function;
+        this.msg = record?.msg ?? text.toString();
+        this.parts = record?.parts ?? [this.msg];
+        if (record?.code !== undefined)
+            this.code = record.code;
+        if (record?.cause !== undefined)
+            this.cause = record.cause;
+        if (record?.context !== undefined)
+            this.context = record.context;
+        if (record?.count !== undefined) {
+            this.count = record.count;
+            this.firstSeen = record.firstSeen;
+            this.lastSeen = record.lastSeen;
+        }
     }
 
     /**
-     * This function always writes a message prepended by DEBUG (use ifdebug() for conditional logging)
-     * @param {*} msg : message to log
-     * @param  {...any} moreMsg last part can be Options object which may contain:
-     *   extraFrames:  a positive integer indicating how many stack frames to
-     *     go up before reporting the code location of this diagnostic [default: 0]
-     *   asString [default: false]:  set true if you want a string back instead of 
-     *     printing to this.diagStream
-     *   
+     * @returns the rendered text of the message
      */
-    debug(msg, ...moreMsg) {
-        return this.commonOut('DEBUG', msg, ...moreMsg);
+    get text() {
+        return this.toString();
     }
 
     /**
-     * Final argument can be options object with these keys:
-     * extraFrames:  a positive integer indicating how many stack frames to
-     *   go up before reporting the code location of this diagnostic [default: 0]
-     * asString:  set true if you want a string back instead of printing to
-     *   this.diagStream
-     * */
-    info(msg, ...moreMsg) {
-        return this.commonOut('INFO', msg, ...moreMsg);
+     * Checks the diagnostic against criteria, e.g. {level: 'ERROR', file: 'db.js', includes: 'timeout'}
+     * @param {*} criteria - a function that is passed the diagnostic and returns true for a match, or an object
+     *   whose entries all must match:
+     *     - level : the level of the message, e.g. 'WARN'
+     *     - code : the error code of the message (see ErrorCode), e.g. 'E_DB_TIMEOUT'
+     *     - file : the file of the code location (as rendered), or a RegExp for it
+     *     - line : the line of the code location
+     *     - includes : a substring of the rendered text, or a RegExp for it
+     * @returns true iff the diagnostic matches
+     */
+    matches(criteria) {
+        if (typeof criteria == 'function')
+            return criteria(this) ? true : false;
+        if (criteria.level !== undefined && this.level != criteria.level)
+            return false;
+        if (criteria.code !== undefined && this.code != criteria.code.toString())
+            return false;
+        if (criteria.file !== undefined && !(criteria.file instanceof RegExp ? criteria.file.test(this.file ?? '')
+                                                                             : this.file == criteria.file))
+            return false;
+        if (criteria.line !== undefined && this.line != criteria.line)
+            return false;
+        if (criteria.includes !== undefined && !(criteria.includes instanceof RegExp
+                                                 ? criteria.includes.test(this.text) : this.text.includes(criteria.includes)))
+            return false;
+        return true;
     }
 
     /**
-     * Final argument can be options object with these keys:
-     * extraFrames:  a positive integer indicating how many stack frames to
-     *   go up before reporting the code location of this diagnostic [default: 0]
-     * asString:  set true if you want a string back instead of printing to
-     *   this.diagStream
-     * */
-    warn(msg, ...moreMsg) {
-        return this.commonOut('WARN', msg, ...moreMsg);
+     * @returns the record of the diagnostic, with its rendered text and its message parts converted to JSON values
+     */
+    toJSON() {
+        let json = {text: this.text, level: this.level, tag: this.tag, time: this.time, file: this.file, line: this.line,
+                    column: this.column, function: this.function, msg: this.msg,
+                    parts: this.parts.map(x => toJSONValue(x))};
+        if (this.code !== undefined)
+            json.code = this.code;
+        if (this.cause !== undefined)
+            json.cause = toJSONValue(this.cause);
+        if (this.context !== undefined)
+            json.context = toJSONValue(this.context);
+        if (this.count !== undefined) {
+            json.count = this.count;
+            json.firstSeen = this.firstSeen;
+            json.lastSeen = this.lastSeen;
+        }
+        return json;
     }
 
     /**
-     * Final argument can be options object with these keys:
-     * extraFrames:  a positive integer indicating how many stack frames to
-     *   go up before reporting the code location of this diagnostic [default: 0]
-     * asString:  set true if you want a string back instead of printing to
-     *   this.diagStream
-     * */
-    error(msg, ...moreMsg) {
-        return this.commonOut('ERROR', msg, ...moreMsg);
-    }
-    err(msg, ...moreMsg) {
-        return this.commonOut('ERROR', msg, ...moreMsg);
+     * Recreates a diagnostic from what toJSON() returned.
+     * @param {*} json - the result of toJSON(), or just the text of the diagnostic
+     * @param {*} level - the level of the diagnostic, if json is only the text
+     * @returns a new Diagnostic
+     */
+    static fromJSON(json, level) {
+        if (isString(json))
+            return new Diagnostic(json, {level: level});
+        return new Diagnostic(json.text, json);
     }
 }
 
-/** A logger, pre-declared for use throughout this class to enable internal logging
- * - very meta and eating our own dogfood */
- var l = new AppLogger("apperror_js");
-
 /**
  * AppStatus - object represents a status; can add diagnostics and values and retrieve them
  * 
@@ -444,28 +2068,151 @@ export class AppLogger {
       choosing.
     Functions that return values, also store those values into this object.
  * 
- * @param msg - If provided, an error is created for this status
+ * The messages in errors, warnings and _info (and lastError) are strings; the status object also keeps their
+ *   records (level, code location, time, original message parts, ...), see getDiagnostics() and findDiagnostics().
+ * 
+ * @param msg - If provided, an error is created for this status; can be an ErrorCode, followed by an object with
+ *   the parameters of its message template (see ErrorCode)
  * @param moreMsg - Additional things to write into the error message, or the final item in this list
- *   can be an Options object; currently only this one is supported
+ *   can be an Options object; these are supported
  *    - extraFrames - an integer number of stack frames that should be skipped when logging the location of a
         diagnostic message
+ *    - format - format template for the message (see AppStatus.format)
+ *    - location - set false to skip capturing the code location of the message (see AppStatus.location)
+ *    - cause - the error that caused this one (e.g. an exception that was caught); its chain of causes is added
+ *        to the message, and kept as the cause of the Diagnostic
  * 
  * @returns A new AppStatus object (call with new)
  */
 
 export class AppStatus {
+    /** format template for the messages added to status objects, e.g. '%iso %f:%n: %m' (see
+     *  AppLogger.formatRecord() for the tokens; %c is empty and %l is the level of the message)
+     *  [default: '%f:%n: %m%x'] */
+    static format = undefined;
+
+    /** set false to skip capturing the code location of the messages added to status objects, e.g. for hot
+     *  paths (can also be set per message, with the 'location' option), or set to an object with settings for
+     *  rendering the code location (see AppLogger's location option) */
+    static location = true;
+
+    /** the Diagnostics of the messages in errors, warnings and _info, by level, in the same order */
+    #diagnostics = {'ERROR': [], 'WARN': [], 'INFO': []};
+
+    /** the Diagnostic of lastError */
+    #lastError = undefined;
+
+    /** when deduplicating automatically, the index of the message with each dedup key, by level (see #addEntry()) */
+    #dedupIndexes = {};
+
     constructor (msg, ...moreMsg) {
         this._info = [];
+        this._debug = [];
+        this._verbose = [];
         this.warnings = [];
         this.errors = [];
         this.lastError = '';
         // let options = getOptions(moreMsg);
         // options.addFrames(1);
         if (msg !== undefined)
-            this.addError(msg, ...moreMsg);
+            this.#addError(msg, ...moreMsg); // an error, even for an ErrorCode with severity 'WARN'
         this.value = undefined;
     }
 
+    /**
+     * Runs a function with an ambient context whose key/value pairs are added to every diagnostic added to any
+     *   AppStatus (and written by any AppLogger) while the function runs.
+     * @see AppLogger.runWithContext()
+     */
+    static runWithContext(context, fn, ...args) {
+        return runWithAmbientContext(context, fn, ...args);
+    }
+
+    /**
+     * @returns the ambient context set by runWithContext() for the code that is running, or an empty object
+     */
+    static getContext() {
+        return getAmbientContext();
+    }
+
+    /**
+     * Runs a function and captures its outcome in a status object, instead of wrapping the call in try/catch, e.g.
+     *   let status = AppStatus.try(() => JSON.parse(text));
+     *   let status = await AppStatus.try(async () => await fetchUser(id));
+     * @param {*} fn - the function to run; can be async
+     * @param  {...any} args - arguments for the function
+     * @returns a status object with the value returned by the function, or with the error it threw (an AppError's
+     *   own diagnostics, or the thrown value, located where it was created); if the function returns a promise, a
+     *   promise of that status object (see fromPromise()).  If the function returns a status object, that is
+     *   the result.
+     */
+    static try(fn, ...args) {
+        let result;
+        try {
+            result = fn(...args);
+        } catch (err) {
+            return statusFromThrown(err);
+        }
+        if (typeof result?.then == 'function')
+            return AppStatus.fromPromise(result);
+        return result instanceof AppStatus ? result : new AppStatus().addValue(result);
+    }
+
+    /**
+     * Waits for a promise and captures its outcome in a status object.
+     * @param {*} promise - the promise to wait for (or a value, which is the value of the status)
+     * @returns a promise of a status object with the value the promise resolved to, or with the reason it was
+     *   rejected (see try()); a promise that resolves to a status object gives that status object
+     */
+    static async fromPromise(promise) {
+        let result;
+        try {
+            result = await promise;
+        } catch (err) {
+            return statusFromThrown(err, true);
+        }
+        return result instanceof AppStatus ? result : new AppStatus().addValue(result);
+    }
+
+    /**
+     * Waits for all the promises, like Promise.all(), but gives a status object, e.g.
+     *   let status = await AppStatus.all(loadUser(id), loadOrders(id));
+     *   let [user, orders] = status.getValue();
+     * @param  {...any} promises - promises (or values, or status objects), or one array of them
+     * @returns a promise of a status object whose value is the array of the values of the promises, in their order,
+     *   with the diagnostics of any status objects merged in (see addStatus()); as soon as one of the promises
+     *   is rejected, or gives a status object with errors, the status object of that failure
+     */
+    static async all(...promises) {
+        if (promises.length == 1 && Array.isArray(promises[0]))
+            promises = promises[0];
+        let statuses;
+        try {
+            statuses = await Promise.all(promises.map(async (promise) => {
+                let status = await AppStatus.fromPromise(promise);
+                if (status.hasErrors())
+                    throw status;
+                return status;
+            }));
+        } catch (failed) {
+            return failed;
+        }
+        return mergeStatuses(statuses);
+    }
+
+    /**
+     * Waits for all the promises to settle, like Promise.allSettled(), and merges their outcomes into one status
+     *   object (see addStatus()).
+     * @param  {...any} promises - promises (or values, or status objects), or one array of them
+     * @returns a promise of a status object with the errors, warnings and info of all the outcomes, whose value is
+     *   the array of the values of the promises, in their order (undefined for those that failed)
+     */
+    static async allSettled(...promises) {
+        if (promises.length == 1 && Array.isArray(promises[0]))
+            promises = promises[0];
+        return mergeStatuses(await Promise.all(promises.map(promise => AppStatus.fromPromise(promise))));
+    }
+
     /**
      * toString()
      * 
@@ -518,38 +2265,161 @@ export class AppStatus {
      * 
      * Identifies duplicate messages and dedups them but appends the count, e.g.
      *   No such key found 'foo' (x14)
+     * A deduplicated Diagnostic keeps the record of the first of its messages, plus their count and the code
+     * locations where the first and the last of them were added (firstSeen and lastSeen).
      * 
      * @param msg - a list of messages, will be de-duplicated
+     * @param options - an object which may contain:
+     *   ignoreLocation : set true to treat messages as duplicates if only their code locations differ, e.g. the same
+     *     message added from two lines [default: false]
      */    
-    dedup(msgs) {
-        let counts = new Map();
-        for (let msg of msgs)
-            if (counts.has(msg))
-                counts.set(msg, counts.get(msg) + 1);
-            else
-                counts.set(msg, 1);
-        msgs.length = 0;
-        for (let [key, val] of counts.entries())
-            if (val > 1)
-                msgs.push(key + " (x" + val + ')');
-            else
-                msgs.push(key);
+    dedup(msgs, options) {
+        let ignoreLocation = options?.ignoreLocation ?? false;
+        let lvl = Object.keys(this.#diagnostics).find(x => this.#messages(x) === msgs);
+        if (lvl === undefined) {
+            msgs.splice(0, msgs.length, ...dedupMessages(msgs, ignoreLocation).map(x => isString(x) ? x.toString() : x));
+            return;
+        }
+        this.#setMessages(lvl, dedupMessages(this.#getLevelDiagnostics(lvl), ignoreLocation));
+    }
+
+    /**
+     * Makes the status object deduplicate messages as they are added (by addInfo(), addWarning(), addError() and
+     *   addStatus()), e.g. for a status object that collects the statuses of many calls in a loop.
+     * @param {*} options - true, false to stop deduplicating, or an object with options for dedup() [default: true]
+     * @returns the status object itself (for chaining)
+     */
+    setAutoDedup(options=true) {
+        this._autoDedup = options === false ? undefined : {ignoreLocation: options?.ignoreLocation ?? false};
+        this.#dedupIndexes = {};
+        return this;
+    }
+
+    /**
+     * @param {*} lvl - 'ERROR', 'WARN' or 'INFO'
+     * @returns the list of messages of the status object for the level
+     */
+    #messages(lvl) {
+        return lvl == 'ERROR' ? this.errors : lvl == 'WARN' ? this.warnings : this._info;
+    }
+
+    /**
+     * @param {*} lvl - 'ERROR', 'WARN' or 'INFO'
+     * @returns the Diagnostics of the messages of the level, in their order; messages assigned directly as
+     *   strings (rather than added with e.g. addError()) are converted
+     */
+    #getLevelDiagnostics(lvl) {
+        let diagnostics = this.#diagnostics[lvl];
+        return this.#messages(lvl).map((msg, i) => diagnostics[i] !== undefined && diagnostics[i].toString() === msg
+                                                   ? diagnostics[i] : Diagnostic.fromJSON(msg.toString(), lvl));
+    }
+
+    /**
+     * Replaces the messages of a level.
+     * @param {*} lvl - 'ERROR', 'WARN' or 'INFO'
+     * @param {*} diagnostics - the Diagnostics of the new messages
+     */
+    #setMessages(lvl, diagnostics) {
+        let msgs = diagnostics.map(x => x.toString());
+        if (lvl == 'ERROR')
+            this.errors = msgs;
+        else if (lvl == 'WARN')
+            this.warnings = msgs;
+        else
+            this._info = msgs;
+        this.#diagnostics[lvl] = diagnostics;
+        this.#dedupIndexes[lvl] = undefined;
+    }
+
+    /**
+     * @param {*} lvl - 'ERROR', 'WARN' or 'INFO'
+     * @returns a Map from the dedup key of each message of the level to its index, built when first needed after
+     *   the messages were replaced (see #setMessages())
+     */
+    #dedupIndex(lvl) {
+        let indexes = this.#dedupIndexes[lvl];
+        if (indexes === undefined) {
+            indexes = new Map();
+            this.#diagnostics[lvl].forEach((msg, i) => {
+                let key = dedupKey(msg, this._autoDedup.ignoreLocation);
+                if (! indexes.has(key))
+                    indexes.set(key, i);
+            });
+            this.#dedupIndexes[lvl] = indexes;
+        }
+        return indexes;
+    }
+
+    /**
+     * Adds a message to the messages of a level, merging it with a duplicate if deduplicating automatically (see
+     *   setAutoDedup())
+     * @param {*} lvl - 'ERROR', 'WARN' or 'INFO'
+     * @param {*} msg - the Diagnostic of the message to add
+     */
+    #addEntry(lvl, msg) {
+        let msgs = this.#messages(lvl);
+        if (this.#diagnostics[lvl].length != msgs.length) { // the messages were changed directly
+            this.#diagnostics[lvl] = this.#getLevelDiagnostics(lvl);
+            this.#dedupIndexes[lvl] = undefined;
+        }
+        let diagnostics = this.#diagnostics[lvl];
+        if (this._autoDedup !== undefined) {
+            let indexes = this.#dedupIndex(lvl);
+            let key = dedupKey(msg, this._autoDedup.ignoreLocation);
+            let i = indexes.get(key);
+            if (i !== undefined) {
+                diagnostics[i] = mergeDuplicates(diagnostics[i], msg);
+                msgs[i] = diagnostics[i].toString();
+                return diagnostics[i];
+            }
+            indexes.set(key, diagnostics.length);
+        }
+        diagnostics.push(msg);
+        msgs.push(msg.toString());
+        return msg;
     }
     
     /**
-     * Creates the adorned message (adding line number, filename, etc.); starts at the first
+     * Creates the adorned message (adding line number, filename, ambient context, etc.); starts at the first
      *   stack frame outside this module
+     * @param {*} lvl - the level of the message, e.g. 'ERROR', for format templates
      * @param {*} msg - the message to adorn
      * @param  {...any} moreMsg - more message components and/or final argument can be Options:
      *    - extraFrames : number of extra frames to move up, before reporting the code location
-     * @returns the adorned message
+     *    - format : format template for the message [default: AppStatus.format]
+     *    - location : set false to skip capturing the code location [default: true, unless AppStatus.location is
+     *      false]
+     *    - cause : the error that caused this one; its chain of causes is added to the message
+     *    - callSite : the code location to report instead of capturing it, an object with file, line, column and
+     *      function
+     * @returns the adorned message, as a Diagnostic
      */
-    #getAdornedMsg(msg, ...moreMsg) {
-        let extraFrames=numFramesInThisModule();
-
-        let options = getOptions(moreMsg)?? new Options();
-        options.addFrames(extraFrames);
-        return adorn(msg, ...moreMsg, options);
+    #getAdornedMsg(lvl, msg, ...moreMsg) {
+        let options = getOptions(moreMsg);
+        let {code, parts} = expandErrorCode(resolveParts([msg, ...moreMsg]));
+        let {msg: text, parts: scrubbedParts} = joinParts(parts);
+        let record = {time: new Date().toISOString(), component: '', level: lvl, msg: text};
+        if (options.tag !== undefined && options.tag != '*')
+            record.tag = options.tag;
+        if (code !== undefined)
+            record.code = code;
+        if (options.cause !== undefined) {
+            record.msg += escapeText(describeCause(options.cause));
+            record.cause = options.cause;
+        }
+        let settings = options.location === false ? null : toLocationSettings(AppStatus.location);
+        if (options.callSite !== undefined) {
+            let site = options.callSite;
+            if (settings !== null && site.line !== undefined)
+                Object.assign(record, {file: site.file, line: site.line, column: site.column, function: site.function});
+        } else if (settings !== null)
+            Object.assign(record, renderCodeLocation(getCallSiteOutsideModule(options.extraFrames ?? 0), settings));
+        let context = getAmbientContext();
+        if (Object.keys(context).length)
+            record.context = context;
+        record.parts = scrubbedParts;
+        return new Diagnostic(formatTemplate(options.format ?? AppStatus.format ?? defaultTemplate('', settings), record),
+                              record);
     }
     
     /**
@@ -560,9 +2430,42 @@ export class AppStatus {
      * @returns the status object itself (for chaining)
      */
     addInfo(msg, ...moreMsg) {
-        let adornedMsg = this.#getAdornedMsg(msg, ...moreMsg);
+        let adornedMsg = this.#getAdornedMsg('INFO', msg, ...moreMsg);
         l.ifDebug("adorned message: ", adornedMsg);
-        this._info.push(adornedMsg);
+        this.#addEntry('INFO', adornedMsg);
+        return this;
+    }
+
+    /**
+     * Adds a DEBUG-level message to the status object, e.g. trace detail from deep in a library; log() replays
+     *   it through the logger's ifDebug(), so it only shows if the logger has debugging on for the tag.
+     * @param {*} tag - the debug tag of the message (see AppLogger.setDebug()), or null for an untagged message
+     * @param {*} msg - anything to log
+     * @param  {...any} moreMsg - more to log and/or last item can be Options:
+     *   - extraFrames: extra frames to move up before capturing the code location of the message
+     * @returns the status object itself (for chaining)
+     */
+    addDebug(tag, msg, ...moreMsg) {
+        if (tag !== null && ! isString(tag))
+            throw new TypeError("Tag must be a string or null, but is " + typeof tag + "; tag: " + makeASCII(tag));
+        let options = getOptions(moreMsg);
+        this._debug.push(this.#getAdornedMsg('DEBUG', msg, ...moreMsg, new Options({...options, tag: tag ?? '*'})));
+        return this;
+    }
+
+    /**
+     * Adds a verbose message to the status object; log() replays it through the logger's ifVerbose(), so it
+     *   only shows if the logger's verbosity is at least the level of the message.
+     * @param {*} level - the verbosity level of the message, 1 or more (e.g. 3 to show with -vvv)
+     * @param {*} msg - anything to log
+     * @param  {...any} moreMsg - more to log and/or last item can be Options:
+     *   - extraFrames: extra frames to move up before capturing the code location of the message
+     * @returns the status object itself (for chaining)
+     */
+    addVerbose(level, msg, ...moreMsg) {
+        if (! Number.isInteger(level) || level < 1)
+            throw new TypeError("Verbosity level must be an integer of at least 1, but is " + makeASCII(level));
+        this._verbose.push(this.#getAdornedMsg('V' + level, msg, ...moreMsg));
         return this;
     }
 
@@ -574,8 +2477,8 @@ export class AppStatus {
      * @returns the status object itself (for chaining)
      */
     addWarning(msg, ...moreMsg) {
-        let adornedMsg = this.#getAdornedMsg(msg, ...moreMsg);
-        this.warnings.push(adornedMsg);
+        let adornedMsg = this.#getAdornedMsg('WARN', msg, ...moreMsg);
+        this.#addEntry('WARN', adornedMsg);
         return this;
     }
     
@@ -592,15 +2495,27 @@ export class AppStatus {
 
     /**
      * Adds a ERROR-level message to the status object.
-     * @param {*} msg - anything to log
+     * @param {*} msg - anything to log; can be an ErrorCode, followed by an object with the parameters of its
+     *   message template (see ErrorCode); an ErrorCode with severity 'WARN' is added as a warning
      * @param  {...any} moreMsg  - more to log and/or last item can be Options:
      *   - extraFrames: extra frames to move up before capturing the code location of the message
+     *   - cause: the error that caused this one, e.g. an exception that was caught
      * @returns the status object itself (for chaining)
      */
      addError(msg, ...moreMsg) {
-        let adornedMsg = this.#getAdornedMsg(msg, ...moreMsg);
-        this.errors.push(adornedMsg);
-        this.lastError = adornedMsg;
+        if (msg instanceof ErrorCode && msg.severity == 'WARN')
+            return this.addWarning(msg, ...moreMsg);
+        return this.#addError(msg, ...moreMsg);
+    }
+
+    /**
+     * Adds an ERROR-level message to the status object, whatever the severity of its error code (see addError())
+     * @returns the status object itself (for chaining)
+     */
+    #addError(msg, ...moreMsg) {
+        let adornedMsg = this.#getAdornedMsg('ERROR', msg, ...moreMsg);
+        this.#lastError = this.#addEntry('ERROR', adornedMsg);
+        this.lastError = this.#lastError.toString();
         return this;
     }
 
@@ -612,11 +2527,18 @@ export class AppStatus {
     addStatus(other) {
         if (! (other instanceof AppStatus))
             throw new Error("addStatus() is for merging in another AppStatus object; object type is " + typeof other);
-        this.errors.push(...other.errors);
-        if (other.lastError)
+        for (let msg of other.getDiagnostics(['ERROR']))
+            this.#addEntry('ERROR', msg);
+        if (other.lastError) {
+            this.#lastError = other.getLastErrorDiagnostic();
             this.lastError = other.lastError;
-        this.warnings.push(...other.warnings);
-        this._info.push(...other._info);
+        }
+        for (let msg of other.getDiagnostics(['WARN']))
+            this.#addEntry('WARN', msg);
+        for (let msg of other.getDiagnostics(['INFO']))
+            this.#addEntry('INFO', msg);
+        this._debug.push(...other._debug);
+        this._verbose.push(...other._verbose);
         if (other.value !== undefined)
             this.value = other.value;
         for (let [key, val] of other.getExtraAttrs().entries())
@@ -651,6 +2573,16 @@ export class AppStatus {
     hasErrors() {
         return this.errors.length > 0;
     }
+
+    /**
+     * Does this status object have an error (or a warning, for codes with severity 'WARN') with the given error
+     *   code?
+     * @param {*} code - an ErrorCode, or its code, e.g. 'E_DB_TIMEOUT'
+     * @returns true iff one of the errors or warnings has the code
+     */
+    hasErrorCode(code) {
+        return this.getDiagnostics(['ERROR', 'WARN']).some(x => x.code !== undefined && x.code == code.toString());
+    }
     
     /**
      * Removes errors from the status object.
@@ -658,7 +2590,7 @@ export class AppStatus {
      * @returns this status object (for chaining)
      */
     clearErrors() {
-        this.errors = [];
+        this.#setMessages('ERROR', []);
 
         return this;
     }
@@ -677,7 +2609,8 @@ export class AppStatus {
      * @returns this status object (for chaining)
      */
     clearWarnings() {
-        this.warnings = [];
+        this.#setMessages('WARN', []);
+        return this;
     }
     
     /**
@@ -694,20 +2627,56 @@ export class AppStatus {
      * @returns this status object (for chaining)
      */
     clearInfo() {
-        this._info = [];
+        this.#setMessages('INFO', []);
         return this;
     }
 
     /**
      * Deduplicates info messages (see dedup())
+     * @param options - options for dedup(), e.g. {ignoreLocation: true}
+     * @returns the status object itself (for chaining)
+     */
+    dedupInfo(options) {
+        this.dedup(this._info, options);
+        return this;
+    }
+
+    /**
+     * Deduplicates warnings (see dedup())
+     * @param options - options for dedup(), e.g. {ignoreLocation: true}
+     * @returns the status object itself (for chaining)
+     */
+    dedupWarnings(options) {
+        this.dedup(this.warnings, options);
+        return this;
+    }
+
+    /**
+     * Deduplicates errors (see dedup())
+     * @param options - options for dedup(), e.g. {ignoreLocation: true}
+     * @returns the status object itself (for chaining)
+     */
+    dedupErrors(options) {
+        this.dedup(this.errors, options);
+        return this;
+    }
+
+    /**
+     * Deduplicates errors, warnings and info messages, each level on its own (see dedup())
+     * @param options - options for dedup(), e.g. {ignoreLocation: true}
+     * @returns the status object itself (for chaining)
      */
-    dedupInfo() {
-        this.dedup(this._info);
+    dedupAll(options) {
+        return this.dedupErrors(options).dedupWarnings(options).dedupInfo(options);
     }
 
     /** log()
-     * spit out any diagnostics to the logger at the corresponding log levels
-     * @param msg - optional message / Options
+     * spit out any diagnostics to the logger at the corresponding log levels; verbose and debug messages are
+     * replayed one by one through the logger's ifVerbose() and ifDebug(), so they only show if the logger's
+     * verbosity and debug tags allow
+     * @param msg - optional message, e.g. naming the operation, and/or Options:
+     *   - perEntry: set true to write each message as its own log line, at its own level and attributed to the
+     *       code location where it was added (rather than one line per level, at the location of log())
      */
     log(logger, ...msg) {
         let prepend = '';
@@ -715,12 +2684,42 @@ export class AppStatus {
         options.addFrames(1);
         if (msg.length)
             prepend = msg.map(x => makeASCII(x)) + ": ";
+        if (options.perEntry) {
+            this.#logPerEntry(logger, prepend, options);
+            return;
+        }
         if (this.hasErrors())
             logger.error(prepend, this.errMsg(), options);
         if (this.hasWarnings())
             logger.warn(prepend, this.warnMsg(), options);
         if (this.hasInfo())
             logger.info(prepend, this.infoMsg(), options);
+        for (let entry of this._verbose)
+            logger.ifVerbose(prepend, entry, new Options({...options, level: Number(entry.level.slice(1))}));
+        for (let entry of this._debug)
+            logger.ifDebug(prepend, entry, new Options({...options, tag: entry.tag ?? '*'}));
+    }
+
+    /**
+     * Writes each message as its own log line, at its own level and code location (see log())
+     * @param {*} logger - the AppLogger to write to
+     * @param {*} prepend - text to put before each message
+     * @param {*} options - Options for the logger
+     */
+    #logPerEntry(logger, prepend, options) {
+        let entryOptions = (entry, more) => new Options({...options, perEntry: undefined, ...more,
+                                                         callSite: entry.line === undefined ? undefined : entry});
+        let entryMsg = (entry) => entry.msg;
+        for (let entry of this.getDiagnostics(['ERROR']))
+            logger.error(prepend, entryMsg(entry), entryOptions(entry));
+        for (let entry of this.getDiagnostics(['WARN']))
+            logger.warn(prepend, entryMsg(entry), entryOptions(entry));
+        for (let entry of this.getDiagnostics(['INFO']))
+            logger.info(prepend, entryMsg(entry), entryOptions(entry));
+        for (let entry of this._verbose)
+            logger.ifVerbose(prepend, entryMsg(entry), entryOptions(entry, {level: Number(entry.level.slice(1))}));
+        for (let entry of this._debug)
+            logger.ifDebug(prepend, entryMsg(entry), entryOptions(entry, {tag: entry.tag ?? '*'}));
     }
 
     /**
@@ -759,6 +2758,39 @@ export class AppStatus {
      */
     getInfo() { return this._info; }
 
+    /**
+     * getDiagnostics
+     * @param {*} levels - the levels to get, e.g. ['ERROR', 'WARN'], 'VERBOSE' for all verbose messages
+     *   [default: ['ERROR', 'WARN', 'INFO']]
+     * @returns list of the messages attached to this status object, errors first, then warnings, then info (as
+     *   Diagnostics, see Diagnostic; messages assigned directly as strings are converted)
+     */
+    getDiagnostics(levels=['ERROR', 'WARN', 'INFO']) {
+        return levels.flatMap(lvl => lvl in this.#diagnostics ? this.#getLevelDiagnostics(lvl)
+                                   : lvl == 'VERBOSE' ? this._verbose : lvl == 'DEBUG' ? this._debug : []);
+    }
+
+    /**
+     * @returns the Diagnostic of lastError (see getDiagnostics()), or undefined if there is none
+     */
+    getLastErrorDiagnostic() {
+        if (! this.lastError)
+            return undefined;
+        return this.#lastError?.toString() === this.lastError.toString() ? this.#lastError
+                                                                        : Diagnostic.fromJSON(this.lastError.toString(), 'ERROR');
+    }
+
+    /**
+     * findDiagnostics
+     * e.g. status.findDiagnostics({file: 'db.js', includes: 'timeout'})
+     * @param {*} criteria - a function or an object with level, file, line and/or includes (see
+     *   Diagnostic.matches())
+     * @returns list of the messages attached to this status object that match the criteria
+     */
+    findDiagnostics(criteria) {
+        return this.getDiagnostics().filter(x => x.matches(criteria));
+    }
+
     /**
      * @returns value assigned to this status object; clear errors before getting value
      */
@@ -791,20 +2823,283 @@ export class AppStatus {
 
         return xtraAttrs;
     }
+
+    /**
+     * Converts the status object into a plain object with a stable schema, e.g. to pass it to a worker thread,
+     *   child process or another service; JSON.stringify() calls this.  AppStatus.fromJSON() turns it back into
+     *   a status object.
+     * @returns {type: 'AppStatus', version, errors, warnings, info, verbose, debug, lastError, value, extraAttrs},
+     *   where the messages are Diagnostic records (see Diagnostic.toJSON()), and value and extraAttrs are left
+     *   out if not set; value and extraAttrs are converted in full, as JSON.stringify() would (unlike the parts of
+     *   messages, which are cut short and redacted), with nested status objects and AppErrors converted the same
+     *   way as this one, and Errors to {name, message, stack, cause}
+     */
+    toJSON() {
+        let json = {
+            type: 'AppStatus',
+            version: statusSchemaVersion,
+            errors: this.getDiagnostics(['ERROR']).map(x => x.toJSON()),
+            warnings: this.getDiagnostics(['WARN']).map(x => x.toJSON()),
+            info: this.getDiagnostics(['INFO']).map(x => x.toJSON()),
+            verbose: this._verbose.map(x => diagnosticToJSON(x)),
+            debug: this._debug.map(x => diagnosticToJSON(x)),
+            lastError: this.lastError ? this.getLastErrorDiagnostic().toJSON() : '',
+        };
+        if (this.value !== undefined)
+            json.value = toStatusJSONValue(this.value);
+        let extraAttrs = this.getExtraAttrs();
+        extraAttrs.delete('value');
+        if (extraAttrs.size)
+            json.extraAttrs = Object.fromEntries(Array.from(extraAttrs.entries()).map(
+                ([key, val]) => [key, toStatusJSONValue(val)]).filter(([key, val]) => val !== undefined));
+        return json;
+    }
+
+    /**
+     * Recreates a status object from what toJSON() returned.
+     * @param {*} json - the result of toJSON(), or JSON text of it
+     * @returns a new status object
+     */
+    static fromJSON(json) {
+        if (isString(json))
+            json = JSON.parse(json);
+        checkStatusSchema(json, 'AppStatus');
+        let status = new AppStatus();
+        status.#setMessages('ERROR', (json.errors ?? []).map(x => Diagnostic.fromJSON(x, 'ERROR')));
+        status.#setMessages('WARN', (json.warnings ?? []).map(x => Diagnostic.fromJSON(x, 'WARN')));
+        status.#setMessages('INFO', (json.info ?? []).map(x => Diagnostic.fromJSON(x, 'INFO')));
+        status._verbose = (json.verbose ?? []).map(x => Diagnostic.fromJSON(x));
+        status._debug = (json.debug ?? []).map(x => Diagnostic.fromJSON(x, 'DEBUG'));
+        if (json.lastError) {
+            status.#lastError = Diagnostic.fromJSON(json.lastError, 'ERROR');
+            status.lastError = status.#lastError.toString();
+        }
+        if (json.value !== undefined)
+            status.value = fromStatusJSONValue(json.value);
+        for (let [key, val] of Object.entries(json.extraAttrs ?? {}))
+            status[key] = fromStatusJSONValue(val);
+        return status;
+    }
+}
+
+/**
+ * @param {*} err - anything that was thrown, or a reason a promise was rejected
+ * @param {*} rejected - true if err is the reason a promise was rejected, so the code that called into this
+ *   module isn't on the stack anymore
+ * @returns a status object with the error: for an AppError, a copy of its status object; for anything else, the
+ *   thrown value, located where it was created, if it has a stack (else where the function was called that threw
+ *   it, or no location for a rejected promise)
+ */
+function statusFromThrown(err, rejected=false) {
+    if (err instanceof AppError)
+        return new AppStatus().addStatus(err.toStatus());
+    let options = new Options({});
+    let settings = toLocationSettings(AppStatus.location);
+    let callSite = settings === null ? null : getErrorCallSite(err);
+    if (callSite !== null)
+        options.callSite = renderCodeLocation(toCodeLocation(callSite), settings);
+    else if (rejected)
+        options.location = false;
+    return new AppStatus().addError(err, options);
+}
+
+/**
+ * @param {*} msgs - a list of messages (Diagnostics or strings)
+ * @param {*} ignoreLocation - true if messages that only differ in their code location are duplicates
+ * @returns the list with the duplicates merged (see AppStatus.dedup())
+ */
+function dedupMessages(msgs, ignoreLocation) {
+    let indexes = new Map();
+    let deduped = [];
+    for (let msg of msgs) {
+        let key = dedupKey(msg, ignoreLocation);
+        let i = indexes.get(key);
+        if (i === undefined) {
+            indexes.set(key, deduped.length);
+            deduped.push(msg);
+        } else
+            deduped[i] = mergeDuplicates(deduped[i], msg);
+    }
+    return deduped;
+}
+
+/**
+ * @param {*} msg - a message of a status object; a Diagnostic, or a string if assigned directly
+ * @param {*} ignoreLocation - true if messages that only differ in their code location are duplicates
+ * @returns the key of the message for deduplication (see AppStatus.dedup())
+ */
+function dedupKey(msg, ignoreLocation) {
+    if (! (msg instanceof Diagnostic))
+        return msg.toString();
+    return ignoreLocation ? msg.level + ': ' + msg.msg : dedupBaseText(msg);
+}
+
+/**
+ * @param {*} msg - a Diagnostic
+ * @returns the text of the message, without the count appended by deduplication
+ */
+function dedupBaseText(msg) {
+    return msg.count === undefined ? msg.text : msg.text.slice(0, -(" (x" + msg.count + ')').length);
+}
+
+/**
+ * @param {*} first - a message of a status object (see AppStatus.dedup())
+ * @param {*} other - a later duplicate of it
+ * @returns a Diagnostic with the record of the first message, their combined count, and where the first and the
+ *   last of them were added
+ */
+function mergeDuplicates(first, other) {
+    if (! (first instanceof Diagnostic))
+        first = Diagnostic.fromJSON(first);
+    if (! (other instanceof Diagnostic))
+        other = Diagnostic.fromJSON(other);
+    let seen = (msg) => ({file: msg.file, line: msg.line, column: msg.column, function: msg.function, time: msg.time});
+    let count = (first.count ?? 1) + (other.count ?? 1);
+    let merged = new Diagnostic(dedupBaseText(first) + " (x" + count + ')', first);
+    merged.count = count;
+    merged.firstSeen = first.firstSeen ?? seen(first);
+    merged.lastSeen = other.lastSeen ?? seen(other);
+    return merged;
+}
+
+/**
+ * @param {*} statuses - status objects
+ * @returns a new status object with the diagnostics of all of them, and the array of their values as its value
+ */
+function mergeStatuses(statuses) {
+    let merged = new AppStatus();
+    for (let status of statuses)
+        merged.addStatus(status);
+    return merged.addValue(statuses.map(status => status.value));
+}
+
+/** version of the schema of AppStatus.toJSON() and AppError.toJSON(); increase it on incompatible changes
+ *  (version 1 had the messages as strings, rather than Diagnostic records) */
+const statusSchemaVersion = 2;
+
+/**
+ * @param {*} msg - a message of a status object; a Diagnostic, or a string if assigned directly
+ * @returns the message as a JSON value
+ */
+function diagnosticToJSON(msg) {
+    return msg instanceof Diagnostic ? msg.toJSON() : msg.toString();
+}
+
+/**
+ * @param {*} json - a parsed object that should have been created by toJSON() of the given type
+ * @param {*} type - 'AppStatus' or 'AppError'
+ */
+function checkStatusSchema(json, type) {
+    if (json?.type !== type)
+        throw new AppError("Not a serialized " + type + ": ", json);
+    if (json.version > statusSchemaVersion)
+        throw new AppError("Serialized " + type + " has version " + json.version + ", but only versions up to " +
+                           statusSchemaVersion + " are supported");
+}
+
+/**
+ * @param {*} val - a value or extra attribute of a status object, or the cause of an AppError
+ * @returns the value as JSON.stringify() would convert it (undefined if it would leave it out); status objects
+ *   and AppErrors keep their schema (see toJSON()), so they can be recreated, and other Errors become
+ *   {name, message, stack, cause}
+ */
+function toStatusJSONValue(val) {
+    let text = JSON.stringify(val, (key, x) => x instanceof Error ?
+        {name: x.name, message: x.message, stack: x.stack, cause: x.cause} : x);
+    return text === undefined ? undefined : JSON.parse(text);
+}
+
+/**
+ * @param {*} val - a value converted by toStatusJSONValue()
+ * @returns the value, with status objects and AppErrors recreated, also inside arrays and objects
+ */
+function fromStatusJSONValue(val) {
+    if (val?.type === 'AppStatus')
+        return AppStatus.fromJSON(val);
+    if (val?.type === 'AppError')
+        return AppError.fromJSON(val);
+    if (Array.isArray(val))
+        return val.map(x => fromStatusJSONValue(x));
+    if (val !== null && typeof val == 'object')
+        return Object.fromEntries(Object.entries(val).map(([key, x]) => [key, fromStatusJSONValue(x)]));
+    return val;
 }
 
 /** A javascript Error object that is created just like an AppStatus object and can be used as such with the toStatus() member.
+    The 'cause' option sets the (ES2022) cause of the error, e.g. new AppError("load failed", new Options({cause: err}))
     @see AppStatus for more information on parameters and behavior */
 export class AppError extends Error {
     /** @see AppStatus init for more information on parameters and behavior */
     constructor (msg, ...moreMsg) {
+        let cause = moreMsg[moreMsg.length - 1] instanceof Options ? moreMsg[moreMsg.length - 1].cause : undefined;
         let status = new AppStatus(msg, ...moreMsg);
-        super(status.toString());
+        super(status.toString(), cause === undefined ? undefined : {cause: cause});
         this.status = status;
         this.name = "AppError";
+        if (status.getLastErrorDiagnostic()?.code !== undefined)
+            this.code = status.getLastErrorDiagnostic().code;
     }
         
     toStatus() {
         return this.status;
     }
+
+    /**
+     * @returns the ErrorCode of the error, if it was created with one that is defined (see defineErrorCodes()),
+     *   else undefined; err.code is the code itself, e.g. 'E_DB_TIMEOUT'
+     */
+    get errorCode() {
+        return getErrorCode(this.code);
+    }
+
+    /** @returns the suggested exit status of the program for this error [default: 1] */
+    get exitCode() {
+        return this.errorCode?.exitCode ?? 1;
+    }
+
+    /** @returns the suggested HTTP status of a response for this error [default: 500] */
+    get httpStatus() {
+        return this.errorCode?.httpStatus ?? 500;
+    }
+
+    /**
+     * Converts the error into a plain object with a stable schema, including its status object; JSON.stringify()
+     *   calls this.  AppError.fromJSON() turns it back into an AppError.
+     * @returns {type: 'AppError', version, name, message, stack, status, cause}, where cause is left out if not set
+     */
+    toJSON() {
+        let json = {
+            type: 'AppError',
+            version: statusSchemaVersion,
+            name: this.name,
+            message: this.message,
+            stack: this.stack,
+            status: this.status.toJSON(),
+        };
+        if (this.cause !== undefined)
+            json.cause = toStatusJSONValue(this.cause);
+        return json;
+    }
+
+    /**
+     * Recreates an AppError, with its status object, from what toJSON() returned; the stack is the one of the
+     *   original error.
+     * @param {*} json - the result of toJSON(), or JSON text of it
+     * @returns a new AppError
+     */
+    static fromJSON(json) {
+        if (isString(json))
+            json = JSON.parse(json);
+        checkStatusSchema(json, 'AppError');
+        let err = new AppError();
+        err.status = AppStatus.fromJSON(json.status);
+        err.name = json.name ?? 'AppError';
+        err.message = json.message ?? err.status.toString();
+        err.stack = json.stack ?? err.name + ': ' + err.message;
+        if (err.status.getLastErrorDiagnostic()?.code !== undefined)
+            err.code = err.status.getLastErrorDiagnostic().code;
+        if (json.cause !== undefined)
+            err.cause = fromStatusJSONValue(json.cause);
+        return err;
+    }
 }
\ No newline at end of file
@@ -0,0 +1,168 @@
+import * as fs from 'fs';
+import * as process from 'process';
+import { pipeline } from 'stream';
+import * as zlib from 'zlib';
+
+/**
+ * Functions that map a time to the start of its calendar interval (local time), for time-based rotation
+ */
+const intervalStarts = {
+    'hourly': (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate(), d.getHours()).getTime(),
+    'daily': (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate()).getTime(),
+    'weekly': (d) => new Date(d.getFullYear(), d.getMonth(), d.getDate() - d.getDay()).getTime(),
+    'monthly': (d) => new Date(d.getFullYear(), d.getMonth()).getTime(),
+};
+
+/**
+ * RotatingFileStream - a file to write diagnostics to, which is rotated when it gets too big or too old, so that
+ *   long-running programs don't fill the disk.
+ *
+ * Use it wherever a stream is used for logging, e.g.
+ *   logger.diagStream = new RotatingFileStream('/var/log/myapp.log', {maxSize: 10e6, keep: 5, compress: true});
+ * or as the destination of a LogSink.
+ *
+ * On rotation, the file is renamed to <path>.1 (<path>.1.gz, if compressed), the previous <path>.1 becomes
+ *   <path>.2, and so on; generations beyond 'keep' are deleted.  An empty file isn't rotated.  Writes are
+ *   synchronous, so no diagnostics are lost when the program exits or the file rotates.  Compression happens in
+ *   the background, after the file is renamed, so that it doesn't hold up writing; end() calls its callback once
+ *   it's done.
+ *
+ * @param path - the path of the file to write to; it is appended to, if it exists
+ * @param options - an object which may contain:
+ *     maxSize : rotate before the file would grow beyond this many bytes
+ *     interval : rotate when a new calendar interval starts, one of 'hourly', 'daily', 'weekly', 'monthly'
+ *     keep : the number of rotated files to keep [default: 5]
+ *     compress : if true, rotated files are gzipped [default: false]
+ */
+export class RotatingFileStream {
+    #compressions = Promise.resolve(); // the pending compressions of rotated files, run one after another
+    #rotations = 0;
+
+    constructor(path, options) {
+        if (options?.interval !== undefined && !(options.interval in intervalStarts))
+            throw new Error("interval must be one of " + Object.keys(intervalStarts).join(', ') + ", but was " +
+                            options.interval);
+        this.path = path;
+        this.maxSize = options?.maxSize;
+        this.interval = options?.interval;
+        this.keep = options?.keep ?? 5;
+        this.compress = options?.compress ?? false;
+        this.#open();
+    }
+
+    /**
+     * Opens the file; an existing file counts as written at its modification time, so a program restarted on
+     *   another day rotates it on the first write.
+     */
+    #open() {
+        this.fd = fs.openSync(this.path, 'a');
+        let stats = fs.fstatSync(this.fd);
+        this.size = stats.size;
+        this.intervalStart = this.#intervalStart(stats.size ? stats.mtime : new Date());
+    }
+
+    /**
+     * @param {*} date - a Date
+     * @returns the start of the calendar interval containing the date, or undefined if not rotating by time
+     */
+    #intervalStart(date) {
+        return this.interval === undefined ? undefined : intervalStarts[this.interval](date);
+    }
+
+    /**
+     * @param {*} index - the generation of a rotated file, 1 being the most recent
+     * @returns the path of that generation
+     */
+    #rotatedPath(index) {
+        return this.path + '.' + index + (this.compress ? '.gz' : '');
+    }
+
+    /**
+     * Writes to the file, rotating it first if needed.
+     * @param {*} chunk - a string or Buffer
+     * @param {*} encoding - the encoding of chunk, if it is a string [default: 'utf8']
+     * @param {*} callback - optional function called once the data is written
+     * @returns true (the data is always written right away)
+     */
+    write(chunk, encoding, callback) {
+        if (typeof encoding == 'function') {
+            callback = encoding;
+            encoding = undefined;
+        }
+        if (this.fd === undefined)
+            throw new Error("write after end of RotatingFileStream for " + this.path);
+        let data = Buffer.isBuffer(chunk) ? chunk : Buffer.from(chunk, encoding ?? 'utf8');
+        let tooBig = this.maxSize !== undefined && this.size > 0 && this.size + data.length > this.maxSize;
+        if (tooBig || this.#intervalStart(new Date()) !== this.intervalStart)
+            this.rotate();
+        fs.writeSync(this.fd, data);
+        this.size += data.length;
+        if (callback)
+            callback();
+        return true;
+    }
+
+    /**
+     * Shifts the rotated files up a generation, deleting the ones beyond 'keep'.
+     */
+    #shiftGenerations() {
+        fs.rmSync(this.#rotatedPath(this.keep), {force: true});
+        for (let i = this.keep - 1; i > 0; i--)
+            if (fs.existsSync(this.#rotatedPath(i)))
+                fs.renameSync(this.#rotatedPath(i), this.#rotatedPath(i + 1));
+    }
+
+    /**
+     * Gzips a renamed file into the first generation, and deletes it.
+     * @param {*} renamedPath - the path the file was renamed to on rotation
+     * @returns a promise, which resolves once that is done (or has failed, which is reported on stderr)
+     */
+    #compressInto1(renamedPath) {
+        return new Promise((resolve) => {
+            this.#shiftGenerations();
+            pipeline(fs.createReadStream(renamedPath), zlib.createGzip(), fs.createWriteStream(this.#rotatedPath(1)),
+                     (err) => {
+                if (err)
+                    process.stderr.write("apperror_js: couldn't compress " + renamedPath + ": " + err.message + "\n");
+                else
+                    fs.rmSync(renamedPath, {force: true});
+                resolve();
+            });
+        });
+    }
+
+    /**
+     * Moves the current file to the first generation (shifting the older generations up), and starts a new,
+     *   empty file; does nothing if the file is empty.
+     */
+    rotate() {
+        if (this.size == 0) {
+            this.intervalStart = this.#intervalStart(new Date());
+            return;
+        }
+        fs.closeSync(this.fd);
+        if (this.keep > 0 && this.compress) {
+            let renamedPath = this.path + '.rotated-' + process.pid + '-' + ++this.#rotations;
+            fs.renameSync(this.path, renamedPath);
+            this.#compressions = this.#compressions.then(() => this.#compressInto1(renamedPath));
+        } else if (this.keep > 0) {
+            this.#shiftGenerations();
+            fs.renameSync(this.path, this.#rotatedPath(1));
+        } else
+            fs.rmSync(this.path);
+        this.#open();
+    }
+
+    /**
+     * Closes the file; writing afterwards throws an error.
+     * @param {*} callback - optional function called once the file is closed and the rotated files are compressed
+     */
+    end(callback) {
+        if (this.fd !== undefined) {
+            fs.closeSync(this.fd);
+            this.fd = undefined;
+        }
+        if (callback)
+            this.#compressions.then(() => callback());
+    }
+}
@@ -0,0 +1,134 @@
+import * as fs from 'fs';
+import * as path from 'path';
+import { fileURLToPath } from 'url';
+
+/**
+ * Source maps, so code locations in compiled code (e.g. TypeScript compiled into dist folders) can be reported
+ *   as locations in the original source.  Supports inline (data: URL) maps and separate .map files.
+ */
+
+const base64Digits = new Map(Array.from('ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789+/')
+                                 .map((c, i) => [c, i]));
+
+/**
+ * @param {*} text - a segment of the mappings of a source map, e.g. 'AAQA'
+ * @returns the numbers encoded in the segment as base64 VLQs
+ */
+function decodeVLQ(text) {
+    let values = [];
+    let value = 0;
+    let shift = 0;
+    for (let c of text) {
+        let digit = base64Digits.get(c);
+        if (digit === undefined)
+            throw new Error("invalid character in source map mappings: " + c);
+        value += (digit & 31) * 2 ** shift;
+        if (digit & 32)
+            shift += 5;
+        else {
+            values.push(value % 2 ? -Math.floor(value / 2) : value / 2);
+            value = 0;
+            shift = 0;
+        }
+    }
+    return values;
+}
+
+/**
+ * @param {*} mappings - the mappings field of a source map
+ * @returns an array with an entry for each generated line (0-based), which is an array of segments
+ *   [generated column, source index, source line, source column] (all 0-based), sorted by generated column
+ */
+function decodeMappings(mappings) {
+    let lines = [];
+    let sourceIndex = 0;
+    let sourceLine = 0;
+    let sourceColumn = 0;
+    for (let lineText of mappings.split(';')) {
+        let segments = [];
+        let generatedColumn = 0;
+        for (let segmentText of lineText.split(',')) {
+            if (! segmentText.length) continue;
+            let values = decodeVLQ(segmentText);
+            generatedColumn += values[0];
+            if (values.length < 4) continue; // maps to no source
+            sourceIndex += values[1];
+            sourceLine += values[2];
+            sourceColumn += values[3];
+            segments.push([generatedColumn, sourceIndex, sourceLine, sourceColumn]);
+        }
+        lines.push(segments);
+    }
+    return lines;
+}
+
+var sourceMappingURLMatcher = new RegExp(/\/\/[#@]\s*sourceMappingURL=(\S+)\s*$/gm);
+var hasScheme = new RegExp(/^[a-z][a-z0-9+.-]*:/i);
+
+/**
+ * Reads the source map of a file, if it has one.
+ * @param {*} file - path of a generated (compiled) file
+ * @returns {sources, lines} with the paths of the sources and the decoded mappings, or null
+ */
+function readSourceMap(file) {
+    let code = fs.readFileSync(file, 'utf8');
+    let url = null;
+    for (let match of code.matchAll(sourceMappingURLMatcher))
+        url = match[1]; // the last one counts
+    let json;
+    let mapDir = path.dirname(file);
+    if (url !== null && url.startsWith('data:')) {
+        let comma = url.indexOf(',');
+        let data = url.slice(comma + 1);
+        json = url.slice(0, comma).endsWith(';base64') ? Buffer.from(data, 'base64').toString('utf8')
+                                                       : decodeURIComponent(data);
+    } else {
+        let mapFile = url !== null ? path.resolve(mapDir, decodeURIComponent(url)) : file + '.map';
+        if (! fs.existsSync(mapFile))
+            return null;
+        json = fs.readFileSync(mapFile, 'utf8');
+        mapDir = path.dirname(mapFile);
+    }
+    let map = JSON.parse(json);
+    let sourceRoot = map.sourceRoot ?? '';
+    return {
+        sources: map.sources.map(source => hasScheme.test(source) ? source : path.resolve(mapDir, sourceRoot, source)),
+        lines: decodeMappings(map.mappings),
+    };
+}
+
+/** source maps by generated file; null if the file has none (or it couldn't be read) */
+const sourceMaps = new Map();
+
+/**
+ * Finds where a position in generated code came from in the original source.
+ * @param {*} file - path or file: URL of a generated file, as found in a stack frame
+ * @param {*} line - line in the generated file (1-based)
+ * @param {*} column - column in the generated file (1-based)
+ * @returns {file, line, column} of the position in the original source (1-based), or null if the file has no
+ *   source map or the position isn't mapped
+ */
+export function resolveSourcePosition(file, line, column) {
+    if (file.startsWith('file:'))
+        file = fileURLToPath(file);
+    if (! path.isAbsolute(file))
+        return null; // e.g. node:internal/... or <anonymous>
+    let map = sourceMaps.get(file);
+    if (map === undefined) {
+        try {
+            map = readSourceMap(file);
+        } catch {
+            map = null; // a broken map shouldn't break logging
+        }
+        sourceMaps.set(file, map);
+    }
+    let segments = map?.lines[line - 1];
+    if (! segments?.length)
+        return null;
+    let segment = segments[0];
+    for (let candidate of segments) {
+        if (candidate[0] > (column ?? 1) - 1) break;
+        segment = candidate;
+    }
+    return {file: map.sources[segment[1]], line: segment[2] + 1, column: segment[3] + 1};
+}
@@ -44,11 +44,11 @@ function assertMatching(a, b) {
 /**
  * Runs a function and makes sure that it writes to the logger what is expected.
  * 
- * @param {*} func : a function which should write to the logger and return a string
- *    with the output that is expected on the logger due to running that function.
+ * @param {*} func : a function which should write to the logger and return a string (or a promise of one, if
+ *    it's async) with the output that is expected on the logger due to running that function.
  * @param {*} funcName : name of the function under test
  */
-function assertLogOutputIsAsExpected(func, funcName) {
+async function assertLogOutputIsAsExpected(func, funcName) {
     // First buffer the results
     const stringStream = new Transform({ // identity transform, just allows read/write of buffered stream
         transform(chunk, encoding, callback) {
@@ -59,7 +59,7 @@ function assertLogOutputIsAsExpected(func, funcName) {
     let restore = l.diagStream;
     l.diagStream = stringStream;
     // make the call
-    let sampleOutput = func(l);
+    let sampleOutput = await func(l);
     // check the result
     let warning = '';
     let error = null;
@@ -85,8 +85,8 @@ describe('module', function() {
     for (let [key, val] of Object.entries(Demo)) {
         if (key.slice(0, 2) == 'do') {
             describe(key, function() {
-                it('should not throw an error when checking output is as-expected for  ' + key, function() {
-                    assertLogOutputIsAsExpected(val, key);
+                it('should not throw an error when checking output is as-expected for  ' + key, async function() {
+                    await assertLogOutputIsAsExpected(val, key);
                 });
             });
         } else {